@@ -1,6 +1,7 @@
 'use strict';
 
 const yaml = require('js-yaml');
+const jpescape = require('reftools/lib/jptr.js').jpescape;
 
 const colour = process.env.NODE_DISABLE_COLORS ?
     { red: '', yellow: '', green: '', normal: '' } :
@@ -112,6 +113,92 @@ function sanitiseAll(s) {
     return sanitise(s.split('/').join('_'));
 }
 
+/**
+ * builds a source map for a YAML or JSON string
+ * @param {string} str - the YAML or JSON text
+ * @param {string} file - the file name or URL to record in each location
+ * @returns {object} map of JSON Pointer (e.g. #/paths/~1pets) to { file, line, column }, both 1-based
+ */
+function getSourceMap(str, file) {
+    let root = { children: [] };
+    let stack = [root];
+    yaml.safeLoad(str, { json: true, listener: function (eventType, state) {
+        if (eventType === 'open') {
+            let node = { line: state.line + 1, column: state.position - state.lineStart + 1, children: [] };
+            stack[stack.length - 1].children.push(node);
+            stack.push(node);
+        }
+        else {
+            let node = stack.pop();
+            node.kind = state.kind;
+            node.result = state.result;
+        }
+    }});
+
+    let map = {};
+    function walk(node, pointer, location) {
+        map[pointer] = { file: file, line: location.line, column: location.column };
+        // flow collections at the top level are wrapped in a node of their own
+        while ((node.children.length === 1) && (node.children[0].result === node.result) && (node.kind !== 'scalar')) {
+            node = node.children[0];
+        }
+        let children = node.children;
+        if (node.kind === 'sequence') {
+            for (let i = 0; i < children.length; i++) {
+                walk(children[i], pointer + '/' + i, children[i]);
+            }
+        }
+        else if (node.kind === 'mapping' && node.result && (typeof node.result === 'object')) {
+            let i = 0;
+            while (i < children.length) {
+                let key = children[i];
+                let name = String(key.result);
+                let value = children[i + 1];
+                i++;
+                // a key with no value node (e.g. `key:` at the end of a block) loads as null
+                if (value && ((node.result[name] !== null) || (value.result === null))) {
+                    walk(value, pointer + '/' + jpescape(name), key);
+                    i++;
+                }
+                else {
+                    map[pointer + '/' + jpescape(name)] = { file: file, line: key.line, column: key.column };
+                }
+            }
+        }
+    }
+    if (root.children.length) walk(root.children[0], '#', root.children[0]);
+    return map;
+}
+
+/**
+ * looks up the source location of a JSON Pointer, falling back to its nearest ancestor
+ * @param {object} sourceMap - as returned by getSourceMap
+ * @param {string} pointer - JSON Pointer, optionally URI-encoded
+ * @returns {object|boolean} the { file, line, column } location, or false if not known
+ */
+function getLocation(sourceMap, pointer) {
+    if (!sourceMap || (typeof pointer !== 'string')) return false;
+    try {
+        pointer = decodeURIComponent(pointer);
+    }
+    catch (ex) { }
+    pointer = ('#' + pointer.replace(/^#/, '')).replace(/\/+$/, '');
+    while (pointer) {
+        if (sourceMap[pointer]) return sourceMap[pointer];
+        if (pointer === '#') break;
+        pointer = pointer.substring(0, pointer.lastIndexOf('/'));
+    }
+    return false;
+}
+
+/**
+ * @param {object} location - as returned by getLocation
+ * @returns {string} the location as file:line:column
+ */
+function formatLocation(location) {
+    return (location.file ? location.file + ':' : '') + location.line + ':' + location.column;
+}
+
 module.exports = {
 
     colour: colour,
@@ -124,7 +211,10 @@ module.exports = {
     arrayProperties: arrayProperties,
     httpMethods: httpMethods,
     sanitise: sanitise,
-    sanitiseAll: sanitiseAll
+    sanitiseAll: sanitiseAll,
+    getSourceMap: getSourceMap,
+    getLocation: getLocation,
+    formatLocation: formatLocation
 
 };
 
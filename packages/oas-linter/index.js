@@ -5,110 +5,492 @@ const path = require('path');
 
 const yaml = require('js-yaml');
 const should = require('should/as-function');
+const ajv = require('ajv')({ allErrors: true, jsonPointers: true });
+const common = require('oas-kit-common');
+const jpescape = require('reftools/lib/jptr.js').jpescape;
+const jpunescape = require('reftools/lib/jptr.js').jpunescape;
 
 let rules = [];
 
+const severities = ['error', 'warn', 'info', 'off'];
+const configNames = ['.oaslintrc', '.oaslintrc.yaml', '.oaslintrc.yml', '.oaslintrc.json'];
+const casings = {
+    camel: /^[a-z][a-zA-Z0-9]*$/,
+    pascal: /^[A-Z][a-zA-Z0-9]*$/,
+    snake: /^[a-z][a-z0-9]*(_[a-z0-9]+)*$/,
+    kebab: /^[a-z][a-z0-9]*(-[a-z0-9]+)*$/
+};
+const validators = new WeakMap(); // compiled schema rules
+
+function normaliseRule(rule, dir) {
+    if (rule.object && !Array.isArray(rule.object)) rule.object = [ rule.object ];
+    if (rule.truthy && !Array.isArray(rule.truthy)) rule.truthy = [ rule.truthy ];
+    if (rule.given && !Array.isArray(rule.given)) rule.given = [ rule.given ];
+    if (rule.severity === false) rule.severity = 'off'; // unquoted YAML off
+    if ((typeof rule.severity !== 'undefined') && (severities.indexOf(rule.severity) < 0)) {
+        throw new Error('Unknown severity '+rule.severity+' for rule '+rule.name);
+    }
+    if ((typeof rule.function === 'string') && dir) {
+        rule.function = path.resolve(dir, rule.function); // relative to the rules file
+    }
+    if (rule.casing && !casings[rule.casing.value]) {
+        throw new Error('Unknown casing '+rule.casing.value+' for rule '+rule.name);
+    }
+    return rule;
+}
+
+function mergeRules(base, newRules, dir) {
+    let hash = new Map();
+    base.concat(newRules.map(function(rule){ return normaliseRule(rule, dir); })).forEach(function(rule) {
+        let merged = Object.assign({}, hash.get(rule.name) || {}, rule);
+        if ((typeof rule.severity !== 'undefined') && (typeof rule.disabled === 'undefined')) {
+            delete merged.disabled; // an explicit severity re-enables a disabled rule
+        }
+        hash.set(rule.name, merged);
+    });
+    return Array.from(hash.values());
+}
+
+function getSeverity(rule) {
+    if (rule.disabled) return 'off';
+    return rule.severity || 'error';
+}
+
 function loadRules(s) {
     let data = fs.readFileSync(s,'utf8');
     let newRules = yaml.safeLoad(data,{json:true}).rules;
+    rules = mergeRules(rules, newRules, path.dirname(s));
+}
+
+function readConfig(s, seen) {
+    if (seen.indexOf(s) >= 0) throw new Error('Circular extends in linter config '+s);
+    seen.push(s);
+    let config = yaml.safeLoad(fs.readFileSync(s,'utf8'),{json:true}) || {};
+    let result = [];
+    let parents = config.extends || [];
+    if (!Array.isArray(parents)) parents = [ parents ];
+    for (let parent of parents) {
+        result = mergeRules(result, readConfig(path.resolve(path.dirname(s), parent), seen));
+    }
+    let newRules = config.rules || [];
+    if (!Array.isArray(newRules)) { // map of rule name to severity or partial rule
+        newRules = Object.keys(newRules).map(function(name){
+            let value = newRules[name];
+            if ((typeof value === 'object') && (value !== null)) return Object.assign({ name: name }, value);
+            return { name: name, severity: value };
+        });
+    }
+    return mergeRules(result, newRules, path.dirname(s));
+}
 
-    for (let rule of newRules) {
-        if (!Array.isArray(rule.object)) rule.object = [ rule.object ];
-        if (rule.truthy && !Array.isArray(rule.truthy)) rule.truthy = [ rule.truthy ];
+/**
+* loads a linter configuration file, which extends and/or overrides the
+* currently loaded rules. Does not change the currently loaded rules
+* @param s the path to the configuration file
+* @param allowFunctions set to false where the file was found rather than
+* given, so that it cannot name JavaScript to be run by a function rule
+* @return an array of rules suitable for use as options.lintRules
+*/
+function loadConfig(s, allowFunctions) {
+    let configRules = readConfig(path.resolve(s), []);
+    if (allowFunctions === false) {
+        for (let rule of configRules) {
+            if (rule.function) {
+                throw new Error('Linter rule '+rule.name+' in '+s+' uses a function, which is only allowed in a config given by lintConfig or with lintFunctions set');
+            }
+        }
+    }
+    let result = mergeRules(rules, configRules);
+    for (let rule of result) {
+        if (!rule.object && !rule.given && (getSeverity(rule) !== 'off')) {
+            throw new Error('Unknown linter rule '+rule.name+' in '+s);
+        }
     }
-    newRules = newRules.filter(function(e){ return !e.disabled; });
+    return result.filter(function(rule){ return !!(rule.object || rule.given); });
+}
 
-    let hash = new Map();
-    rules.concat(newRules).forEach(function(rule) {
-        hash.set(rule.name, Object.assign(hash.get(rule.name) || {}, rule));
-    });
-    rules = Array.from(hash.values());
+/**
+* searches a directory and its ancestors for a linter configuration file
+* @param dir the directory to start from
+* @return the path to the configuration file, or false if none found
+*/
+function findConfig(dir) {
+    dir = path.resolve(dir);
+    let parent = dir;
+    do {
+        dir = parent;
+        for (let name of configNames) {
+            let candidate = path.join(dir, name);
+            if (fs.existsSync(candidate)) return candidate;
+        }
+        parent = path.dirname(dir);
+    } while (parent !== dir);
+    return false;
 }
 
-function lint(objectName,object,key,options) {
-    for (let rule of rules) {
-        if ((rule.object[0] === '*') || (rule.object.indexOf(objectName)>=0)) {
-            options.lintRule = rule;
-            if (rule.skip && options[rule.skip]) {
-                continue;
+function getValue(object,property,key) {
+    return (property === '$key') ? key : object[property];
+}
+
+function applyRule(rule,object,key,options) {
+    if (rule.truthy) {
+        for (let property of rule.truthy) {
+            should(object).have.property(property);
+            should(object[property]).not.be.empty();
+        }
+    }
+    if (rule.properties) {
+        should(Object.keys(object).length).be.exactly(rule.properties);
+    }
+    if (rule.or) {
+        let found = false;
+        for (let property of rule.or) {
+            if (typeof object[property] !== 'undefined') found = true;
+        }
+        should(found).be.exactly(true,rule.description);
+    }
+    if (rule.xor) {
+        let found = false;
+        for (let property of rule.xor) {
+            if (typeof object[property] !== 'undefined') {
+                if (found) should.fail(true,false,rule.description);
+                found = true;
             }
-            if (rule.truthy) {
-                for (let property of rule.truthy) {
-                    should(object).have.property(property);
-                    should(object[property]).not.be.empty();
-                }
+        }
+        should(found).be.exactly(true,rule.description);
+    }
+    if (rule.pattern) {
+        let components = [];
+        if (rule.pattern.split) {
+            components = object[rule.pattern.property].split(rule.pattern.split);
+        }
+        else {
+            components.push(object[rule.pattern.property]);
+        }
+        let re = new RegExp(rule.pattern.value);
+        for (let component of components) {
+            if (rule.pattern.omit) component = component.split(rule.pattern.omit).join('');
+            if (component) {
+                should(re.test(component)).be.exactly(true,rule.description);
             }
-            if (rule.properties) {
-                should(Object.keys(object).length).be.exactly(rule.properties);
+        }
+    }
+    if (rule.notContain) {
+        for (let property of rule.notContain.properties) {
+            if (object[property] && (typeof object[property] === 'string') &&
+                (object[property].indexOf(rule.notContain.value)>=0)) {
+                should.fail(true,false,rule.description);
             }
-            if (rule.or) {
-                let found = false;
-                for (let property of rule.or) {
-                    if (typeof object[property] !== 'undefined') found = true;
-                }
-                should(found).be.exactly(true,rule.description);
+        }
+    }
+    if (rule.notEndWith) {
+        let property = (rule.notEndWith.property === '$key') ? key : object[rule.notEndWith.property];
+        if (typeof property === 'string') {
+            if (rule.notEndWith.omit) {
+                property = property.replace(rule.notEndWith.omit,'');
             }
-            if (rule.xor) {
-                let found = false;
-                for (let property of rule.xor) {
-                    if (typeof object[property] !== 'undefined') {
-                        if (found) should.fail(true,false,rule.description);
-                        found = true;
-                    }
-                }
-                should(found).be.exactly(true,rule.description);
+            should(property).not.endWith(rule.notEndWith.value);
+        }
+    }
+    if (rule.if) {
+        let property = (rule.if.property === '$key') ? key : object[rule.if.property];
+        if (property) {
+          let thenProp = (rule.if.then.property === '$key') ? key : object[rule.if.then.property];
+          should(thenProp).equal(rule.if.then.value);
+        }
+    }
+    if (rule.maxLength) {
+        let value = getValue(object,rule.maxLength.property,key);
+        if ((typeof value === 'string') || Array.isArray(value)) {
+            should(value.length).not.be.greaterThan(rule.maxLength.value,rule.description);
+        }
+    }
+    if (rule.minLength) {
+        let value = getValue(object,rule.minLength.property,key);
+        if ((typeof value === 'string') || Array.isArray(value)) {
+            should(value.length).not.be.lessThan(rule.minLength.value,rule.description);
+        }
+    }
+    if (rule.enum) {
+        let value = getValue(object,rule.enum.property,key);
+        if (typeof value !== 'undefined') {
+            should(rule.enum.values.indexOf(value)).be.greaterThan(-1,rule.description || (rule.enum.property+' must be one of '+rule.enum.values.join(', ')));
+        }
+    }
+    if (rule.casing) {
+        let re = casings[rule.casing.value];
+        let values = (rule.casing.property === '$keys') ?
+            Object.keys(object).filter(function(k){ return !k.startsWith('x-'); }) :
+            [ getValue(object,rule.casing.property,key) ];
+        for (let value of values) {
+            if (typeof value === 'string') {
+                should(re.test(value)).be.exactly(true,rule.description || (value+' should be '+rule.casing.value+' case'));
             }
-            if (rule.pattern) {
-                let components = [];
-                if (rule.pattern.split) {
-                    components = object[rule.pattern.property].split(rule.pattern.split);
-                }
-                else {
-                    components.push(object[rule.pattern.property]);
-                }
-                let re = new RegExp(rule.pattern.value);
-                for (let component of components) {
-                    if (rule.pattern.omit) component = component.split(rule.pattern.omit).join('');
-                    if (component) {
-                        should(re.test(component)).be.exactly(true,rule.description);
-                    }
-                }
+        }
+    }
+    if (rule.schema) {
+        let validate = validators.get(rule.schema);
+        if (!validate) {
+            validate = ajv.compile(rule.schema.value);
+            validators.set(rule.schema, validate);
+        }
+        let value = (rule.schema.property ? getValue(object,rule.schema.property,key) : object);
+        if ((typeof value !== 'undefined') && !validate(value)) {
+            should.fail(false,true,(rule.description ? rule.description+': ' : '')+
+                validate.errors.map(function(e){ return (e.dataPath || '/')+' '+e.message; }).join(', '));
+        }
+    }
+    if (rule.function) {
+        let fn = require(rule.function);
+        let result = fn(object,key,rule,options);
+        if (typeof result === 'string') {
+            should.fail(false,true,result);
+        }
+    }
+}
+
+const ignoreProperty = 'x-lint-ignore';
+
+function report(ruleName,severity,message,pointer,options) {
+    let location = common.getLocation(options.sourceMap, pointer);
+    if (options.allErrors) {
+        let finding = {
+            pointer: pointer,
+            message: message,
+            severity: severity,
+            ruleName: ruleName
+        };
+        if (location) {
+            finding.file = location.file;
+            finding.line = location.line;
+            finding.column = location.column;
+        }
+        options.errors.push(finding);
+    }
+    else {
+        options.warnings.push(severity+' '+ruleName+' '+pointer+' '+message+(location ? ' ('+common.formatLocation(location)+')' : ''));
+    }
+}
+
+function getIgnores(holder) {
+    let ignores = holder[ignoreProperty];
+    if (typeof ignores === 'string') return [ ignores ];
+    return (Array.isArray(ignores) ? ignores : []);
+}
+
+/**
+* finds an x-lint-ignore suppressing the rule, on the object itself or on one
+* of its ancestors, as located by the context stack, innermost first
+* @return the object holding the suppression, or false if none
+*/
+function findIgnore(rule,object,options) {
+    let holders = [ object ];
+    let context = options.context[options.context.length - 1];
+    if (options.openapi && (typeof context === 'string') && context.startsWith('#/')) {
+        let ancestors = [ options.openapi ];
+        let current = options.openapi;
+        for (let component of context.substr(2).split('/')) {
+            if (!component) continue;
+            component = jpunescape(component);
+            if (!current || (typeof current !== 'object') || (typeof current[component] === 'undefined')) break;
+            current = current[component];
+            ancestors.push(current);
+        }
+        holders = holders.concat(ancestors.reverse());
+    }
+    for (let holder of holders) {
+        if (holder && (typeof holder === 'object') && (getIgnores(holder).indexOf(rule.name) >= 0)) {
+            return holder;
+        }
+    }
+    return false;
+}
+
+function markIgnoreUsed(holder,rule,options) {
+    if (!options.lintIgnoresUsed) options.lintIgnoresUsed = new WeakMap();
+    let used = options.lintIgnoresUsed.get(holder) || new Set();
+    used.add(rule.name);
+    options.lintIgnoresUsed.set(holder, used);
+}
+
+/**
+* reports any x-lint-ignore entries within the definition which did not
+* suppress a rule failure
+*/
+function reportUnusedIgnores(openapi,options) {
+    let seen = new Set();
+    let used = options.lintIgnoresUsed || new WeakMap();
+    function walk(obj,pointer) {
+        if (!obj || (typeof obj !== 'object') || seen.has(obj)) return;
+        seen.add(obj);
+        let usedRules = used.get(obj) || new Set();
+        for (let ruleName of getIgnores(obj)) {
+            if (!usedRules.has(ruleName)) {
+                report(ignoreProperty,'warn','Unused suppression of rule '+ruleName,pointer,options);
             }
-            if (rule.notContain) {
-                for (let property of rule.notContain.properties) {
-                    if (object[property] && (typeof object[property] === 'string') &&
-                        (object[property].indexOf(rule.notContain.value)>=0)) {
-                        should.fail(true,false,rule.description);
-                    }
-                }
+        }
+        for (let key in obj) {
+            walk(obj[key],pointer+'/'+jpescape(key));
+        }
+    }
+    walk(openapi,'#');
+    delete options.lintIgnoresUsed;
+}
+
+function parsePath(s) {
+    let tokens = [];
+    let i = 1; // skip $
+    while (i < s.length) {
+        let token = { descendant: false, keys: [] };
+        if (s.substr(i,2) === '..') {
+            token.descendant = true;
+            i += 2;
+        }
+        else if (s[i] === '.') {
+            i++;
+        }
+        if (s[i] === '[') {
+            let end = i + 1;
+            let quote = '';
+            while ((end < s.length) && (quote || (s[end] !== ']'))) {
+                if (quote && (s[end] === quote)) quote = '';
+                else if (!quote && ((s[end] === '\'') || (s[end] === '"'))) quote = s[end];
+                end++;
             }
-            if (rule.notEndWith) {
-                let property = (rule.notEndWith.property === '$key') ? key : object[rule.notEndWith.property];
-                if (typeof property === 'string') {
-                    if (rule.notEndWith.omit) {
-                        property = property.replace(rule.notEndWith.omit,'');
+            if (end >= s.length) throw new Error('Unterminated [ in JSONPath '+s);
+            token.keys = s.substring(i + 1, end).split(',').map(function(k){
+                k = k.trim();
+                if ((k.startsWith('\'') && k.endsWith('\'')) || (k.startsWith('"') && k.endsWith('"'))) {
+                    return k.substr(1, k.length - 2);
+                }
+                return k;
+            });
+            i = end + 1;
+        }
+        else {
+            let end = i;
+            while ((end < s.length) && (s[end] !== '.') && (s[end] !== '[')) end++;
+            if (end === i) throw new Error('Invalid JSONPath '+s);
+            token.keys = [ s.substring(i, end) ];
+            i = end;
+        }
+        tokens.push(token);
+    }
+    return tokens;
+}
+
+function descendants(node, result, seen) {
+    if (!node.value || (typeof node.value !== 'object') || seen.has(node.value)) return result;
+    seen.add(node.value);
+    result.push(node);
+    for (let key in node.value) {
+        descendants({ value: node.value[key], key: key, pointer: node.pointer+'/'+jpescape(key) }, result, seen);
+    }
+    return result;
+}
+
+/**
+* selects locations within a document by JSONPath (e.g. `$.paths[*][get]`)
+* or JSON Pointer (e.g. `#/info/x-api-id`)
+* @return an array of { value, key, pointer } matches
+*/
+function select(document, selector) {
+    let nodes = [ { value: document, key: '', pointer: '#' } ];
+    if (!selector.startsWith('$')) {
+        let pointer = selector.replace(/^#/,'');
+        for (let component of pointer.split('/').slice(1)) {
+            let node = nodes[0];
+            component = jpunescape(decodeURIComponent(component));
+            if (!node.value || (typeof node.value !== 'object') || (typeof node.value[component] === 'undefined')) return [];
+            nodes = [ { value: node.value[component], key: component, pointer: node.pointer+'/'+jpescape(component) } ];
+        }
+        return nodes;
+    }
+    for (let token of parsePath(selector)) {
+        let next = [];
+        for (let node of nodes) {
+            let candidates = (token.descendant ? descendants(node, [], new Set()) : [ node ]);
+            for (let candidate of candidates) {
+                if (!candidate.value || (typeof candidate.value !== 'object')) continue;
+                let keys = ((token.keys[0] === '*') ? Object.keys(candidate.value) : token.keys);
+                for (let key of keys) {
+                    if (typeof candidate.value[key] !== 'undefined') {
+                        next.push({ value: candidate.value[key], key: key, pointer: candidate.pointer+'/'+jpescape(key) });
                     }
-                    should(property).not.endWith(rule.notEndWith.value);
                 }
             }
-            if (rule.if) {
-                let property = (rule.if.property === '$key') ? key : object[rule.if.property];
-                if (property) {
-                  let thenProp = (rule.if.then.property === '$key') ? key : object[rule.if.then.property];
-                  should(thenProp).equal(rule.if.then.value);
-                }
+        }
+        nodes = next;
+    }
+    return nodes;
+}
+
+function checkRule(rule,object,key,options) {
+    options.lintRule = rule;
+    if (rule.skip && options[rule.skip]) {
+        return;
+    }
+    let severity = getSeverity(rule);
+    if (severity === 'off') {
+        return;
+    }
+    try {
+        applyRule(rule,object,key,options);
+    }
+    catch (ex) {
+        let holder = findIgnore(rule,object,options);
+        if (holder) {
+            markIgnoreUsed(holder,rule,options);
+        }
+        else if ((severity === 'error') && !options.allErrors) {
+            throw ex;
+        }
+        else {
+            report(rule.name,severity,ex.message,options.context[options.context.length - 1] || '#/',options);
+        }
+    }
+}
+
+/**
+* applies the rules which have a `given` selector to the whole document,
+* independently of the objects walked by the validator
+*/
+function lintDocument(openapi,options) {
+    for (let rule of options.lintRules || rules) {
+        if (!rule.given) continue;
+        for (let selector of rule.given) {
+            for (let match of select(openapi,selector)) {
+                options.context.push(match.pointer);
+                checkRule(rule,match.value,match.key,options);
+                options.context.pop();
             }
-            // TODO speccy defines a maxLength rule { property: string, value: integer }
         }
     }
     delete options.lintRule;
 }
 
+function lint(objectName,object,key,options) {
+    for (let rule of options.lintRules || rules) {
+        if (rule.object && ((rule.object[0] === '*') || (rule.object.indexOf(objectName)>=0))) {
+            checkRule(rule,object,key,options);
+        }
+    }
+    delete options.lintRule;
+    if (objectName === 'openapi') { // linted last, after all of its descendants
+        lintDocument(object,options);
+        reportUnusedIgnores(object,options);
+    }
+}
+
 loadRules(path.join(__dirname,'rules.yaml'));
 
 module.exports = {
     lint : lint,
+    lintDocument : lintDocument,
+    select : select,
     loadRules : loadRules,
-    getRules : function() { return { rules: rules }; }
+    loadConfig : loadConfig,
+    findConfig : findConfig,
+    getRules : function() { return { rules: rules.filter(function(rule){ return getSeverity(rule) !== 'off'; }) }; }
 };
 
@@ -0,0 +1,95 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const fetch = require('node-fetch');
+
+const defaultTtl = 3600; // seconds
+
+function mkdirp(dir) {
+    if (fs.existsSync(dir)) return;
+    mkdirp(path.dirname(dir));
+    fs.mkdirSync(dir);
+}
+
+function entryFile(target, options) {
+    return path.join(options.cacheDir, crypto.createHash('sha256').update(target).digest('hex') + '.json');
+}
+
+/**
+* reads the on-disk cache entry for a url
+* @return the { url, etag, lastModified, fetched, body } entry, or false
+*/
+function readEntry(target, options) {
+    if (!options.cacheDir) return false;
+    try {
+        let entry = JSON.parse(fs.readFileSync(entryFile(target, options), 'utf8'));
+        return (entry.url === target ? entry : false);
+    }
+    catch (ex) {
+        return false;
+    }
+}
+
+function writeEntry(entry, options) {
+    try {
+        mkdirp(options.cacheDir);
+        fs.writeFileSync(entryFile(entry.url, options), JSON.stringify(entry), 'utf8');
+    }
+    catch (ex) {
+        if (options.verbose) console.warn('Could not write cache entry for', entry.url, ex.message);
+    }
+}
+
+/**
+* fetches the text of a remote document, using and maintaining the on-disk
+* cache in options.cacheDir if set. Fresh entries (younger than
+* options.cacheTtl seconds) are used as-is, stale ones are revalidated using
+* their ETag / Last-Modified headers, and used if the network is unavailable
+* or options.offline is set. Without an entry, options.offline fails the fetch
+* @param target the url to fetch
+* @param options the resolver options
+* @return a Promise resolving to the text of the document
+*/
+function fetchText(target, options) {
+    let entry = readEntry(target, options);
+    let ttl = (typeof options.cacheTtl === 'number' ? options.cacheTtl : defaultTtl);
+    if (entry && (options.offline || (Date.now() - entry.fetched < ttl * 1000))) {
+        if (options.verbose) console.log('DISK CACHED', target);
+        return Promise.resolve(entry.body);
+    }
+    if (options.offline) {
+        return Promise.reject(new Error('Cannot fetch ' + target + ' in offline mode'));
+    }
+    let headers = {};
+    if (entry && entry.etag) headers['If-None-Match'] = entry.etag;
+    if (entry && entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+    return fetch(target, { agent: options.agent, headers: headers })
+        .then(function (res) {
+            if (entry && (res.status === 304)) {
+                entry.fetched = Date.now();
+                writeEntry(entry, options);
+                return entry.body;
+            }
+            if (res.status !== 200) throw new Error(`Received status code ${res.status}`);
+            return res.text()
+                .then(function (body) {
+                    if (options.cacheDir) {
+                        writeEntry({ url: target, etag: res.headers.get('etag'),
+                            lastModified: res.headers.get('last-modified'), fetched: Date.now(), body: body }, options);
+                    }
+                    return body;
+                });
+        }, function (err) {
+            if (!entry) throw err;
+            if (options.verbose) console.warn('Using stale cache entry for', target, err.message);
+            return entry.body;
+        });
+}
+
+module.exports = {
+    fetchText: fetchText,
+    readEntry: readEntry
+};
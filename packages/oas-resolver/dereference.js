@@ -0,0 +1,126 @@
+'use strict';
+
+const jptr = require('reftools/lib/jptr.js').jptr;
+const jpescape = require('reftools/lib/jptr.js').jpescape;
+const recurse = require('reftools/lib/recurse.js').recurse;
+const isRef = require('reftools/lib/isref.js').isRef;
+const toposort = require('reftools/lib/toposort.js').toposort;
+
+/**
+* builds a graph of the internal references between the referenced parts of a
+* definition, and finds the cycles within it
+* @param openapi the definition to examine
+* @return array of JSON Pointers involved in reference cycles
+*/
+function findCycles(openapi) {
+    let refs = [];
+    recurse(openapi, {identityDetection: true}, function (obj, key, state) {
+        if (isRef(obj, key) && obj[key].startsWith('#')) {
+            refs.push({ path: decodeURIComponent(state.path.replace(/\/%24ref$/, '')), target: decodeURIComponent(obj[key]) });
+        }
+    });
+    let nodes = [];
+    for (let ref of refs) {
+        if (!nodes.find(function (node) { return node._id === ref.target; })) {
+            nodes.push({ _id: ref.target, links: [] });
+        }
+    }
+    for (let ref of refs) {
+        // the innermost referenced node containing the $ref is the source of the edge
+        let source = nodes.filter(function (node) {
+            return (ref.path === node._id) || ref.path.startsWith(node._id + '/');
+        }).sort(function (a, b) { return b._id.length - a._id.length; })[0];
+        if (source && (source.links.indexOf(ref.target) < 0)) source.links.push(ref.target);
+    }
+    let links = {};
+    for (let node of nodes) links[node._id] = node.links.slice(); // toposort consumes the links
+    // nodes left with edges are on a cycle, or only reachable through one
+    return toposort(nodes).nodesWithEdges.map(function (node) { return node._id; })
+        .filter(function (id) {
+            let seen = new Set();
+            let pending = links[id].slice();
+            while (pending.length) {
+                let next = pending.pop();
+                if (next === id) return true;
+                if (!seen.has(next)) {
+                    seen.add(next);
+                    pending = pending.concat(links[next]);
+                }
+            }
+            return false;
+        });
+}
+
+/**
+* fully dereferences the internal $refs of an OpenAPI / Swagger definition,
+* throughout its paths and components
+* @param openapi the definition to dereference, which is not modified
+* @param options may contain circular, the strategy for circular references:
+* keep-ref (the default) leaves the $ref in place, ignore replaces it with the
+* object itself (so the result contains object cycles), error throws, and
+* depth:N expands the cycle N times before replacing the $ref with an empty
+* object. Detected cycles are returned in options.cycles
+* @return the dereferenced definition
+*/
+function dereference(openapi, options) {
+    if (!options) options = {};
+    let circular = options.circular || 'keep-ref';
+    let maxDepth = 0;
+    if (circular.startsWith('depth:')) {
+        maxDepth = parseInt(circular.substring(6), 10);
+        if (isNaN(maxDepth) || (maxDepth < 0)) throw new Error('Invalid circular depth ' + circular);
+        circular = 'depth';
+    }
+    if (['keep-ref', 'ignore', 'error', 'depth'].indexOf(circular) < 0) {
+        throw new Error('Unknown circular reference strategy ' + circular);
+    }
+    options.cycles = findCycles(openapi);
+
+    let expanding = []; // stack of { $ref, result } for the references being expanded
+
+    function expand(value, path) {
+        if (!value || (typeof value !== 'object')) return value;
+        if (isRef(value, '$ref') && value.$ref.startsWith('#')) {
+            let $ref = value.$ref;
+            let seen = expanding.filter(function (entry) { return entry.$ref === $ref; });
+            if (seen.length) {
+                if (circular === 'error') throw new Error('Circular reference ' + $ref + ' at ' + path);
+                if (circular === 'keep-ref') return { $ref: $ref };
+                if (circular === 'ignore') return seen[0].result;
+                if (seen.length > maxDepth) return {};
+            }
+            let target = jptr(openapi, $ref);
+            if (target === false) {
+                if (options.fatal) throw new Error('Internal $ref resolution failed ' + $ref + ' at ' + path);
+                return { $ref: $ref };
+            }
+            if (!target || (typeof target !== 'object')) return target;
+            let entry = { $ref: $ref, result: (Array.isArray(target) ? [] : {}) };
+            expanding.push(entry);
+            let result = fill(entry.result, target, path);
+            expanding.pop();
+            return result;
+        }
+        return fill((Array.isArray(value) ? [] : {}), value, path);
+    }
+
+    function fill(result, value, path) {
+        if (isRef(value, '$ref') && value.$ref.startsWith('#')) {
+            // a $ref to a $ref
+            let target = expand(value, path);
+            if (Array.isArray(result) || !target || (typeof target !== 'object')) return target;
+            return Object.assign(result, target);
+        }
+        for (let key in value) {
+            result[key] = expand(value[key], path + '/' + jpescape(key));
+        }
+        return result;
+    }
+
+    return expand(openapi, '#');
+}
+
+module.exports = {
+    dereference: dereference,
+    findCycles: findCycles
+};
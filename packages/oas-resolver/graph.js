@@ -0,0 +1,151 @@
+'use strict';
+
+const path = require('path');
+const url = require('url');
+
+/**
+* records a reference from one document to another
+* @param from the file or url holding the $ref
+* @param to the file or url it refers to
+* @param $ref the $ref as written
+* @param key the $ref as tracked in options.externalRefs
+* @param options the resolver options
+*/
+function addEdge(from, to, $ref, key, options) {
+    let edges = options.dependencies.edges;
+    if (!edges.find(function (edge) { return (edge.from === from) && (edge.key === key); })) {
+        edges.push({ from: from, to: to, $ref: $ref, key: key });
+    }
+}
+
+/**
+* records the outcome of resolving one of the options.externalRefs
+* @param key the $ref as tracked in options.externalRefs
+* @param error the error message, or false on success
+*/
+function setStatus(key, error, options) {
+    let status = options.dependencies.status;
+    if (typeof status[key] === 'string') return; // keep the first error
+    status[key] = error || true;
+}
+
+/**
+* finds the strongly connected components of the graph with more than one
+* node, or a reference to itself
+* @return array of arrays of node ids
+*/
+function findCycles(ids, edges) {
+    let index = 0;
+    let stack = [];
+    let state = {};
+    let cycles = [];
+    function connect(id) {
+        state[id] = { index: index, low: index, onStack: true };
+        index++;
+        stack.push(id);
+        for (let edge of edges) {
+            if (edge.from !== id) continue;
+            if (!state[edge.to]) {
+                connect(edge.to);
+                state[id].low = Math.min(state[id].low, state[edge.to].low);
+            }
+            else if (state[edge.to].onStack) {
+                state[id].low = Math.min(state[id].low, state[edge.to].index);
+            }
+        }
+        if (state[id].low === state[id].index) {
+            let component = [];
+            let member;
+            do {
+                member = stack.pop();
+                state[member].onStack = false;
+                component.unshift(member);
+            } while (member !== id);
+            if ((component.length > 1) || edges.find(function (edge) { return (edge.from === id) && (edge.to === id); })) {
+                cycles.push(component);
+            }
+        }
+    }
+    for (let id of ids) {
+        if (!state[id]) connect(id);
+    }
+    return cycles;
+}
+
+/**
+* builds the graph of the documents making up a definition, from the options
+* of a (possibly failed) resolver run
+* @param options the resolver options
+* @return { root, nodes, edges, cycles, unresolved } where each node is a
+* { id, type, resolved } object (type being file or url), each edge is a
+* { from, to, $ref, resolved } object, each cycle is an array of node ids and
+* unresolved lists the edges which could not be resolved
+*/
+function getDependencyGraph(options) {
+    let dependencies = options.dependencies || { edges: [], status: {} };
+    let root = options.resolver ? options.resolver.base : options.source;
+    let edges = dependencies.edges.map(function (edge) {
+        let result = { from: edge.from, to: edge.to, $ref: edge.$ref, resolved: (dependencies.status[edge.key] === true) };
+        if (typeof dependencies.status[edge.key] === 'string') result.error = dependencies.status[edge.key];
+        return result;
+    });
+    let ids = [root];
+    for (let edge of edges) {
+        if (ids.indexOf(edge.from) < 0) ids.push(edge.from);
+        if (ids.indexOf(edge.to) < 0) ids.push(edge.to);
+    }
+    let nodes = ids.map(function (id) {
+        let incoming = edges.filter(function (edge) { return edge.to === id; });
+        return { id: id, type: (url.parse(id || '').protocol ? 'url' : 'file'),
+            resolved: ((id === root) || incoming.some(function (edge) { return edge.resolved; })) };
+    });
+    return {
+        root: root,
+        nodes: nodes,
+        edges: edges,
+        cycles: findCycles(ids, edges),
+        unresolved: edges.filter(function (edge) { return !edge.resolved; })
+    };
+}
+
+/**
+* formats a dependency graph in Graphviz DOT format. Files are labelled
+* relative to the root document, unresolved nodes and edges are red and
+* dashed, and edges on a cycle are orange
+*/
+function toDot(graph) {
+    let base = (graph.root && !url.parse(graph.root).protocol ? path.dirname(graph.root) : '');
+    function quote(str) {
+        return '"' + String(str).replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+    }
+    function label(node) {
+        return (base && (node.type === 'file') ? path.relative(base, node.id) : node.id);
+    }
+    function inCycle(edge) {
+        return graph.cycles.some(function (cycle) {
+            return (cycle.indexOf(edge.from) >= 0) && (cycle.indexOf(edge.to) >= 0);
+        });
+    }
+    let lines = ['digraph dependencies {'];
+    for (let node of graph.nodes) {
+        let attrs = ['label=' + quote(label(node))];
+        if (node.id === graph.root) attrs.push('shape=box');
+        if (!node.resolved) attrs.push('color=red', 'style=dashed');
+        lines.push('  ' + quote(node.id) + ' [' + attrs.join(', ') + '];');
+    }
+    for (let edge of graph.edges) {
+        let attrs = ['label=' + quote(edge.$ref)];
+        if (!edge.resolved) attrs.push('color=red', 'style=dashed');
+        else if (inCycle(edge)) attrs.push('color=orange');
+        lines.push('  ' + quote(edge.from) + ' -> ' + quote(edge.to) + ' [' + attrs.join(', ') + '];');
+    }
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    addEdge: addEdge,
+    setStatus: setStatus,
+    getDependencyGraph: getDependencyGraph,
+    toDot: toDot
+};
@@ -5,14 +5,20 @@ const path = require('path');
 const url = require('url');
 const util = require('util');
 
-const fetch = require('node-fetch');
 const yaml = require('js-yaml');
 
 const jptr = require('reftools/lib/jptr.js').jptr;
+const jpescape = require('reftools/lib/jptr.js').jpescape;
+const jpunescape = require('reftools/lib/jptr.js').jpunescape;
 const recurse = require('reftools/lib/recurse.js').recurse;
 const clone = require('reftools/lib/clone.js').clone;
 const isRef = require('reftools/lib/isref.js').isRef;
 const common = require('oas-kit-common');
+const cache = require('./cache.js');
+const split = require('./split.js').split;
+const dereference = require('./dereference.js').dereference;
+const graph = require('./graph.js');
+const watch = require('./watch.js');
 
 function unique(arr) {
     return [... new Set(arr)];
@@ -29,6 +35,101 @@ function readFileAsync(filename, encoding) {
     });
 }
 
+const valueKeywords = ['example', 'examples', 'default', 'enum', 'const'];
+const schemaMaps = ['properties', 'patternProperties', 'definitions', '$defs'];
+
+function getId(obj, useId) {
+    if (typeof obj.$id === 'string') return obj.$id;
+    return (useId && (typeof obj.id === 'string') ? obj.id : null);
+}
+
+/**
+* walks a document tracking the base URI, as changed by JSON Schema $id (or
+* draft-04 id) keywords
+* @param doc the document to walk
+* @param base the URI of the document
+* @param callback called with each object, its JSON Pointer and base URI
+*/
+function walkBases(doc, base, callback) {
+    let useId = ((typeof doc.$schema === 'string') && (doc.$schema.indexOf('draft-04') >= 0));
+    let seen = new WeakSet();
+    function walk(obj, pointer, base, parentKey) {
+        if (!obj || (typeof obj !== 'object') || seen.has(obj)) return;
+        seen.add(obj);
+        let id = (Array.isArray(obj) ? null : getId(obj, useId));
+        if (id) base = url.resolve(base, id);
+        callback(obj, pointer, base, id);
+        for (let key in obj) {
+            // don't mistake example data for schemas
+            if (((valueKeywords.indexOf(key) >= 0) || key.startsWith('x-')) && (schemaMaps.indexOf(parentKey) < 0)) continue;
+            walk(obj[key], pointer + '/' + jpescape(key), base, key);
+        }
+    }
+    walk(doc, '', base, '');
+}
+
+/**
+* indexes the embedded resources ($id) and anchors ($id: '#name' or $anchor)
+* of a document
+* @return map of absolute URI to JSON Pointer within the document
+*/
+function getIds(doc, base) {
+    let ids = {};
+    walkBases(doc, base, function (obj, pointer, base, id) {
+        if (id) ids[base] = pointer;
+        if (typeof obj.$anchor === 'string') ids[url.resolve(base, '#' + obj.$anchor)] = pointer;
+    });
+    return ids;
+}
+
+/**
+* makes the $refs within a document honour changes of base URI by $id, and
+* rewrites $refs to embedded resources and anchors as JSON Pointers
+* @param doc the document, which is modified
+* @param base the URI of the document
+*/
+function rebaseRefs(doc, base, options) {
+    let ids = getIds(doc, base);
+    walkBases(doc, base, function (obj, pointer, objBase) {
+        if (!isRef(obj, '$ref')) return;
+        let $ref = obj.$ref;
+        if ((objBase === base) && (($ref === '#') || $ref.startsWith('#/'))) return;
+        let absolute = url.resolve(objBase, $ref);
+        let parts = absolute.split('#');
+        let fragment = parts[1] || '';
+        let newRef;
+        if (typeof ids[absolute] !== 'undefined') {
+            newRef = '#' + ids[absolute];
+        }
+        else if ((typeof ids[parts[0]] !== 'undefined') && (!fragment || fragment.startsWith('/'))) {
+            newRef = '#' + ids[parts[0]] + fragment;
+        }
+        else if ((parts[0] === base.split('#')[0]) && (!fragment || fragment.startsWith('/'))) {
+            newRef = '#' + fragment;
+        }
+        else if (objBase !== base) {
+            newRef = absolute;
+        }
+        if (newRef && (newRef !== $ref)) {
+            if (options.verbose>1) console.log('Rebasing', $ref, 'as', newRef);
+            obj.$ref = newRef;
+        }
+    });
+    return ids;
+}
+
+/**
+* finds the target of a fragment, which may be a JSON Pointer or an anchor
+* @return the target, or false if not found
+*/
+function resolveFragment(doc, fragment, base) {
+    if (!fragment || (fragment === '#') || fragment.startsWith('#/')) return jptr(doc, fragment);
+    let ids = getIds(doc, base);
+    let id = getId(doc, (typeof doc.$schema === 'string') && (doc.$schema.indexOf('draft-04') >= 0));
+    let pointer = ids[url.resolve((id ? url.resolve(base, id) : base), fragment)];
+    return (typeof pointer === 'undefined' ? false : jptr(doc, '#' + pointer));
+}
+
 function resolveAllInternal(obj, context, src, parentPath, base, options) {
 
     let attachPoint = options.externalRefs[src+parentPath].paths[0];
@@ -40,7 +141,16 @@ function resolveAllInternal(obj, context, src, parentPath, base, options) {
         changes = 0;
         recurse(obj, {identityDetection:true}, function (obj, key, state) {
             if (isRef(obj, key)) {
-                if (obj[key].startsWith('#')) {
+                if (options.bundle) {
+                    // bundled fragments are each referenced by their absolute location
+                    if (!obj.$fixed) {
+                        let newRef = url.resolve(base, obj[key]).toString();
+                        if (!obj[key].startsWith('#')) addDependency(base, obj[key], newRef, options);
+                        obj[key] = newRef;
+                        obj.$fixed = true;
+                    }
+                }
+                else if (obj[key].startsWith('#')) {
                     if (!seen[obj[key]] && !obj.$fixed) {
                         let target = clone(jptr(context, obj[key]));
                         if (options.verbose>1) console.log((target === false ? common.colour.red : common.colour.green)+'Internal resolution', obj[key], common.colour.normal);
@@ -81,12 +191,14 @@ function resolveAllInternal(obj, context, src, parentPath, base, options) {
                 else if (baseUrl.protocol) {
                     let newRef = url.resolve(base,obj[key]).toString();
                     if (options.verbose>1) console.log(common.colour.yellow+'Rewriting external url ref',obj[key],'as',newRef,common.colour.normal);
+                    addDependency(base, obj[key], newRef, options);
                     obj['x-miro'] = obj[key];
                     obj[key] = newRef;
                 }
                 else if (!obj['x-miro']) {
                     let newRef = url.resolve(base,obj[key]).toString();
                     if (options.verbose>1) console.log(common.colour.yellow+'Rewriting external ref',obj[key],'as',newRef,common.colour.normal);
+                    addDependency(base, obj[key], newRef, options);
                     obj['x-miro'] = obj[key]; // we use x-miro as a flag so we don't do this > once
                     obj[key] = newRef;
                 }
@@ -105,6 +217,119 @@ function resolveAllInternal(obj, context, src, parentPath, base, options) {
     return obj;
 }
 
+/**
+* records the source locations of a newly-read external document, if we are
+* building a source map
+*/
+function storeSourceMap(str, target, options) {
+    if (!options.sourceMap) return;
+    if (!options.sourceMaps) options.sourceMaps = {};
+    options.sourceMaps[target] = common.getSourceMap(str, target);
+}
+
+/**
+* copies the source locations of an externally referenced fragment into
+* options.sourceMap, beneath the pointer at which its data was inlined
+*/
+function mapExternal(ptr, source, ref, options) {
+    let external = options.sourceMap && options.sourceMaps && options.sourceMaps[source];
+    if (!external) return;
+    let fragment = ('#' + (ref.split('#')[1] || '')).replace(/\/+$/, '');
+    try {
+        fragment = decodeURIComponent(fragment);
+        ptr = decodeURIComponent(ptr);
+    }
+    catch (ex) { }
+    for (let key in external) {
+        if ((key === fragment) || key.startsWith(fragment + '/')) {
+            options.sourceMap[ptr + key.substring(fragment.length)] = external[key];
+        }
+    }
+}
+
+const bundleSections = {
+    openapi: { schemas: 'components/schemas', parameters: 'components/parameters',
+        responses: 'components/responses', requestBodies: 'components/requestBodies',
+        headers: 'components/headers', examples: 'components/examples',
+        links: 'components/links', callbacks: 'components/callbacks' },
+    swagger: { schemas: 'definitions', parameters: 'parameters', responses: 'responses' }
+};
+
+/**
+* works out which kind of component a $ref at the given pointer refers to
+* @return the component type, e.g. 'schemas', or false if it must be inlined
+*/
+function componentType(ptr) {
+    let segments = decodeURIComponent(ptr).split('/').slice(1).map(jpunescape);
+    let last = segments[segments.length - 1];
+    let parent = segments[segments.length - 2];
+    if (['properties', 'patternProperties', 'allOf', 'anyOf', 'oneOf', 'definitions'].indexOf(parent) >= 0) return 'schemas';
+    if (['schema', 'items', 'additionalProperties', 'not'].indexOf(last) >= 0) return 'schemas';
+    if (last === 'requestBody') return 'requestBodies';
+    if (['parameters', 'responses', 'headers', 'examples', 'links', 'callbacks'].indexOf(parent) >= 0) return parent;
+    return false;
+}
+
+/**
+* finds the component which already holds a $ref at the given pointer, if any,
+* e.g. #/components/schemas/Pet
+*/
+function componentSlot(ptr, sections) {
+    let decoded = decodeURIComponent(ptr);
+    for (let type in sections) {
+        let prefix = '#/' + sections[type] + '/';
+        if (decoded.startsWith(prefix) && (decoded.substring(prefix.length).indexOf('/') < 0)) return decoded;
+    }
+    return false;
+}
+
+/**
+* in bundle mode, places externally referenced data in the matching components
+* section under a collision-free name, and points each of its references at it
+* @return true if the data was bundled, false if it must be inlined instead
+*/
+function bundleExternal(data, source, ref, pointers, options) {
+    let sections = bundleSections[options.openapi.swagger ? 'swagger' : 'openapi'];
+    let fragment = ref.split('#')[1] || '';
+    let key = source + '#' + fragment;
+    let home = options.bundled[key];
+    if (!home) {
+        home = pointers.map(function (ptr) { return componentSlot(ptr, sections); }).find(function (slot) { return slot; });
+        if (home) {
+            jptr(options.openapi, home, clone(data));
+        }
+        else {
+            let type = pointers.map(componentType).find(function (type) { return type && sections[type]; });
+            if (!type) return false;
+            let container = options.openapi;
+            for (let component of sections[type].split('/')) {
+                if (!container[component]) container[component] = {};
+                container = container[component];
+            }
+            let segments = decodeURIComponent(fragment).split('/');
+            let base = jpunescape(segments[segments.length - 1]) || path.basename(source).replace(/\.[^.]*$/, '');
+            base = common.sanitiseAll(base);
+            let name = base;
+            let suffix = 1;
+            while (typeof container[name] !== 'undefined') {
+                name = base + '_' + (++suffix);
+            }
+            container[name] = clone(data);
+            home = '#/' + sections[type] + '/' + jpescape(name);
+        }
+        options.bundled[key] = home;
+        mapExternal(home, source, ref, options);
+        if (options.verbose>1) console.log('Bundling', ref, 'as', home);
+    }
+    for (let ptr of pointers) {
+        if (decodeURIComponent(ptr) !== home) {
+            jptr(options.openapi, ptr, { $ref: home });
+        }
+    }
+    options.externalRefs[ref].resolvedAt = home;
+    return true;
+}
+
 function filterData(data, options) {
     if (!options.filters || !options.filters.length) return data;
     for (let filter of options.filters) {
@@ -113,9 +338,39 @@ function filterData(data, options) {
     return data;
 }
 
-function resolveExternal(root, pointer, options, callback) {
-    var u = url.parse(options.source);
-    var base = options.source.split('\\').join('/').split('/');
+/**
+* applies options.urlMap, given either as an object or as an array of
+* prefix=replacement strings, to a url, using the longest matching prefix.
+* Relative replacements are taken to be local paths
+* @return the mapped url or filename, or the original url if unmapped
+*/
+function mapUrl(target, options) {
+    let urlMap = options.urlMap;
+    if (Array.isArray(urlMap)) {
+        urlMap = {};
+        for (let entry of options.urlMap) {
+            let index = entry.lastIndexOf('=');
+            if (index > 0) urlMap[entry.substring(0, index)] = entry.substring(index + 1);
+        }
+    }
+    let prefix = Object.keys(urlMap || {}).filter(function (prefix) {
+        return target.startsWith(prefix);
+    }).sort(function (a, b) { return b.length - a.length; })[0];
+    if (typeof prefix === 'undefined') return target;
+    let mapped = urlMap[prefix] + target.substring(prefix.length);
+    if (options.verbose) console.log('Mapping', target, 'to', mapped);
+    return (url.parse(mapped).protocol ? mapped : path.resolve(mapped));
+}
+
+/**
+* works out the file or url an external $ref refers to, relative to
+* options.source if set
+* @return { base, pointer, fragment, target, effectiveProtocol }
+*/
+function externalTarget(pointer, options) {
+    let source = options.source || '';
+    var u = url.parse(source);
+    var base = source.split('\\').join('/').split('/');
     let doc = base.pop(); // drop the actual filename
     if (!doc) base.pop(); // in case it ended with a /
     let fragment = '';
@@ -137,6 +392,113 @@ function resolveExternal(root, pointer, options, callback) {
         target = url.resolve(base ? base + '/' : '', pointer);
     }
 
+    let mapped = mapUrl(target, options);
+    if (mapped !== target) {
+        target = mapped;
+        effectiveProtocol = (url.parse(target).protocol || 'file:');
+    }
+    return { base: base, pointer: pointer, fragment: fragment, target: target, effectiveProtocol: effectiveProtocol };
+}
+
+/**
+* records an edge of the dependency graph
+* @param source the file or url holding the $ref
+* @param $ref the $ref as written
+* @param key the $ref as tracked in options.externalRefs
+*/
+function addDependency(source, $ref, key, options) {
+    graph.addEdge(source, externalTarget(key, options).target, $ref, key, options);
+}
+
+/**
+* @return true if a remote target cannot be fetched because options.offline
+* is set and it is neither handled nor cached on disk
+*/
+function offlineBlocked(location, options) {
+    return !!options.offline && location.effectiveProtocol.startsWith('http') &&
+        !(options.handlers && options.handlers[location.effectiveProtocol]) && !cache.readEntry(location.target, options);
+}
+
+/**
+* reads the text of a whole document, such as the root of a definition given
+* as a url, through options.urlMap, options.offline and the on-disk cache as
+* when resolving $refs
+* @param pointer the url or filename, relative to options.source if set
+* @param options the resolver options
+* @return a Promise resolving to { text, target } where target is the url or
+* filename the document was read from
+*/
+function fetchText(pointer, options) {
+    let location = externalTarget(pointer.split('#')[0], options);
+    let target = location.target;
+    if (offlineBlocked(location, options)) {
+        return Promise.reject(new Error('Unmapped remote reference ' + target + ' in offline mode'));
+    }
+    if (options.verbose) console.log('GET', target);
+    let fetched;
+    if (location.effectiveProtocol.startsWith('http')) {
+        fetched = cache.fetchText(target, options);
+    }
+    else {
+        fetched = readFileAsync(target, options.encoding || 'utf8');
+    }
+    return fetched.then(function (text) {
+        return { text: text, target: target };
+    });
+}
+
+/**
+* fetches and parses a whole document, such as one referenced from a
+* definition in a form other than a $ref. Reads go through options.handlers,
+* options.urlMap, the on-disk and in-memory caches and options.offline as when
+* resolving $refs
+* @param pointer the url or filename, relative to options.source
+* @param options the resolver options
+* @return a Promise resolving to { data, target } where target is the url or
+* filename the document was read from
+*/
+function fetchDocument(pointer, options) {
+    if (!options.cache) options.cache = {};
+    let location = externalTarget(pointer.split('#')[0], options);
+    let target = location.target;
+    if (offlineBlocked(location, options)) {
+        return Promise.reject(new Error('Unmapped remote reference ' + target + ' in offline mode'));
+    }
+    if (options.cache[target]) {
+        if (options.verbose) console.log('CACHED', target);
+        return Promise.resolve({ data: clone(options.cache[target]), target: target });
+    }
+    let fetched;
+    if (options.handlers && options.handlers[location.effectiveProtocol]) {
+        if (options.verbose) console.log('GET', target);
+        fetched = options.handlers[location.effectiveProtocol](location.base, location.pointer, '', options);
+    }
+    else {
+        fetched = fetchText(pointer, options).then(function (result) {
+            let data = yaml.safeLoad(result.text, { json: true });
+            storeSourceMap(result.text, target, options);
+            return data;
+        });
+    }
+    return fetched.then(function (data) {
+        options.cache[target] = clone(data);
+        return { data: data, target: target };
+    });
+}
+
+function resolveExternal(root, pointer, options, callback) {
+    let ref = pointer;
+    let location = externalTarget(pointer, options);
+    let base = location.base;
+    let fragment = location.fragment;
+    let target = location.target;
+    let effectiveProtocol = location.effectiveProtocol;
+    pointer = location.pointer;
+
+    if (offlineBlocked(location, options)) {
+        return Promise.reject(new Error('Unmapped remote reference ' + target + ' in offline mode'));
+    }
+
     if (options.cache[target]) {
         if (options.verbose) console.log('CACHED', target, fragment);
         /*
@@ -146,9 +508,10 @@ function resolveExternal(root, pointer, options, callback) {
         let context = clone(options.cache[target]);
         let data = context;
         if (fragment) {
-            data = jptr(data, fragment);
+            data = resolveFragment(data, fragment, target);
             if (data === false) {
                 data = {}; // case:A(2) where the resolution fails
+                graph.setStatus(ref, 'Could not find '+fragment+' in '+target, options);
                 if (options.fatal) {
                     let ex = new Error('Cached $ref resolution failed '+target+fragment);
                     if (options.promise) options.promise.reject(ex)
@@ -178,21 +541,20 @@ function resolveExternal(root, pointer, options, callback) {
             });
     }
     else if (effectiveProtocol && effectiveProtocol.startsWith('http')) {
-        return fetch(target, { agent: options.agent })
-            .then(function (res) {
-                if (res.status !== 200) throw new Error(`Received status code ${res.status}`);
-                return res.text();
-            })
+        return cache.fetchText(target, options)
             .then(function (data) {
                 try {
                     let context = yaml.safeLoad(data, { json: true });
+                    storeSourceMap(data, target, options);
+                    rebaseRefs(context, target, options);
                     data = context;
                     options.cache[target] = clone(data);
                     /* resolutionSource:B, from the network, data is fresh, but we clone it into the cache */
                     if (fragment) {
-                        data = jptr(data, fragment);
+                        data = resolveFragment(data, fragment, target);
                         if (data === false) {
                             data = {}; /* case:B(2) where the resolution fails */
+                            graph.setStatus(ref, 'Could not find '+fragment+' in '+target, options);
                             if (options.fatal) {
                                 let ex = new Error('Remote $ref resolution failed '+target+fragment);
                                 if (options.promise) options.promise.reject(ex)
@@ -223,15 +585,18 @@ function resolveExternal(root, pointer, options, callback) {
             .then(function (data) {
                 try {
                     let context = yaml.safeLoad(data, { json: true });
+                    storeSourceMap(data, target, options);
+                    rebaseRefs(context, target, options);
                     data = context;
                     /*
                         resolutionSource:C from a file, data is fresh but we clone it into the cache
                     */
                     options.cache[target] = clone(data);
                     if (fragment) {
-                        data = jptr(data, fragment);
+                        data = resolveFragment(data, fragment, target);
                         if (data === false) {
                             data = {}; /* case:C(2) where the resolution fails */
+                            graph.setStatus(ref, 'Could not find '+fragment+' in '+target, options);
                             if (options.fatal) {
                                 let ex = new Error('File $ref resolution failed '+target+fragment);
                                 if (options.promise) options.promise.reject(ex)
@@ -267,6 +632,10 @@ function scanExternalRefs(options) {
             return res(refs);
         }
 
+        if (options.resolver.depth === 0) {
+            rebaseRefs(options.openapi, options.source || '', options);
+        }
+
         recurse(options.openapi, {identityDetection: true}, function (obj, key, state) {
             if (obj[key] && isRef(obj[key],'$ref')) {
                 let $ref = obj[key].$ref;
@@ -274,12 +643,15 @@ function scanExternalRefs(options) {
                     if (!refs[$ref]) {
                         refs[$ref] = { resolved: false, paths: [], description: obj[key].description };
                     }
+                    if ((options.resolver.depth === 0) && (typeof options.source === 'string')) {
+                        addDependency(options.source, $ref, $ref, options);
+                    }
                     if (refs[$ref].resolved) {
                         if (options.rewriteRefs) {
                             // we've already seen it
                             let newRef = refs[$ref].resolvedAt;
                             if (options.verbose>1) console.log('Rewriting ref', $ref, newRef);
-                            obj[key]['x-miro'] = $ref;
+                            if (!options.bundle) obj[key]['x-miro'] = $ref;
                             obj[key].$ref = newRef; // resolutionCase:C (new string)
                         }
                         else {
@@ -309,6 +681,7 @@ function findExternalRefs(options) {
                     if (depth>0) depth++;
                     options.resolver.actions[depth].push(function () {
                         return resolveExternal(options.openapi, ref, options, function (data, source, options) {
+                            graph.setStatus(ref, false, options);
                             if (!refs[ref].resolved) {
                                 let external = {};
                                 external.context = refs[ref];
@@ -332,6 +705,10 @@ function findExternalRefs(options) {
                             // sorting $refs by length causes bugs (due to overlapping regions?)
                             let pointers = unique(refs[ref].paths);
 
+                            if (options.bundle && bundleExternal(data, source, ref, pointers, options)) {
+                                pointers = [];
+                            }
+
                             for (let ptr of pointers) {
                                 // shared x-ms-examples $refs confuse the fixupRefs heuristic in index.js
                                 if (refs[ref].resolvedAt && (ptr !== refs[ref].resolvedAt) && (ptr.indexOf('x-ms-examples/')<0)) {
@@ -348,12 +725,17 @@ function findExternalRefs(options) {
                                     }
                                     let cdata = clone(data);
                                     jptr(options.openapi, ptr, cdata); // resolutionCase:F (cloned:yes)
+                                    mapExternal(ptr, source, ref, options);
                                 }
                             }
                             if (options.resolver.actions[localOptions.resolver.depth].length === 0) {
                                 //options.resolver.actions[localOptions.resolver.depth].push(function () { return scanExternalRefs(localOptions) });
                                 options.resolver.actions[localOptions.resolver.depth].push(function () { return findExternalRefs(localOptions) }); // findExternalRefs calls scanExternalRefs
                             }
+                        })
+                        .catch(function (ex) {
+                            graph.setStatus(ref, ex.message, options);
+                            throw ex;
                         });
                     });
                 }
@@ -419,6 +801,8 @@ function setupOptions(options) {
 
     if (!options.externals) options.externals = [];
     if (!options.externalRefs) options.externalRefs = [];
+    if (!options.dependencies) options.dependencies = { edges: [], status: {} };
+    if (options.bundle && !options.bundled) options.bundled = {};
     options.rewriteRefs = true;
     options.resolver = {};
     options.resolver.depth = 0;
@@ -450,6 +834,14 @@ function resolve(openapi,source,options) {
 
 module.exports = {
     optionalResolve: optionalResolve,
-    resolve: resolve
+    resolve: resolve,
+    split: split,
+    dereference: dereference,
+    fetchDocument: fetchDocument,
+    fetchText: fetchText,
+    getDependencyGraph: graph.getDependencyGraph,
+    graphToDot: graph.toDot,
+    getLocalFiles: watch.getLocalFiles,
+    watch: watch.watch
 };
 
@@ -0,0 +1,146 @@
+'use strict';
+
+const path = require('path');
+const url = require('url');
+
+const jpescape = require('reftools/lib/jptr.js').jpescape;
+const recurse = require('reftools/lib/recurse.js').recurse;
+const clone = require('reftools/lib/clone.js').clone;
+const isRef = require('reftools/lib/isref.js').isRef;
+
+const componentSections = ['schemas', 'responses', 'parameters', 'examples', 'requestBodies',
+    'headers', 'securitySchemes', 'links', 'callbacks', 'pathItems'];
+
+const namings = {
+    original: function (name) { return name; },
+    kebab: function (name) {
+        return name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').replace(/[_\s]+/g, '-').toLowerCase();
+    },
+    snake: function (name) {
+        return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[-\s]+/g, '_').toLowerCase();
+    }
+};
+
+/**
+* the default layout puts each path item and each component in a file of its own
+* @param openapi the definition being split
+* @return map of container (as a JSON Pointer without the leading #/) to directory
+*/
+function defaultLayout(openapi) {
+    let layout = { paths: 'paths' };
+    if (openapi.swagger) {
+        layout.definitions = 'definitions';
+        layout.parameters = 'parameters';
+        layout.responses = 'responses';
+    }
+    else {
+        for (let section of componentSections) {
+            layout['components/' + section] = 'components/' + section;
+        }
+        layout.webhooks = 'webhooks';
+    }
+    return layout;
+}
+
+/**
+* makes a file name (without extension) from a path template or component name
+*/
+function fileName(name, container, options) {
+    if (container === 'paths' || container === 'webhooks') {
+        name = name.replace(/^\//, '').split('/').join('_').replace(/[{}]/g, '') || 'root';
+    }
+    let naming = (typeof options.naming === 'function' ? options.naming : namings[options.naming || 'original']);
+    return naming(name, container).replace(/[^A-Za-z0-9_\-\.]+/g, '_');
+}
+
+function relative(from, to) {
+    return path.posix.relative(path.posix.dirname(from), to);
+}
+
+/**
+* rewrites the $refs within one of the output files
+* @param data the content of the file
+* @param file the name of the file, relative to the root
+* @param base the JSON Pointer of the content within the original definition
+* @param units the split-out parts of the definition
+* @param root the name of the root file
+*/
+function rewriteRefs(data, file, base, units, root) {
+    recurse(data, {}, function (obj, key, state) {
+        if (!isRef(obj, key)) return;
+        let ref = obj[key];
+        if (ref.startsWith('#')) {
+            let target = ref;
+            try {
+                target = decodeURIComponent(ref);
+            }
+            catch (ex) { }
+            target = target.replace(/\/$/, '');
+            let unit = units.find(function (u) { return (target === u.pointer) || target.startsWith(u.pointer + '/'); });
+            let targetFile = (unit ? unit.file : root);
+            let fragment = (unit ? target.substring(unit.pointer.length) : target.substring(1));
+            if (targetFile === file) {
+                obj[key] = '#' + (unit ? fragment : target.substring(base.length));
+            }
+            else {
+                obj[key] = relative(file, targetFile) + (fragment ? '#' + fragment : '');
+            }
+        }
+        else if (!url.parse(ref).protocol && !path.posix.isAbsolute(ref) && path.posix.dirname(file) !== '.') {
+            // relative external references are relative to the file holding them
+            obj[key] = relative(file, path.posix.normalize(ref));
+        }
+    });
+}
+
+/**
+* splits a single-document OpenAPI / Swagger definition into a tree of files,
+* the inverse of resolution
+* @param openapi the definition to split, which is not modified
+* @param options may contain layout (map of container, e.g. components/schemas,
+* to output directory), naming (original, kebab, snake or a function taking the
+* name and container), format (yaml or json) and root (the root file name)
+* @return map of relative file name to file content, the root file first
+*/
+function split(openapi, options) {
+    if (!options) options = {};
+    let ext = '.' + (options.format === 'json' ? 'json' : 'yaml');
+    let root = options.root || ((openapi.swagger ? 'swagger' : 'openapi') + ext);
+    let layout = options.layout || defaultLayout(openapi);
+    let doc = clone(openapi);
+    let files = {};
+    files[root] = doc;
+
+    let units = [];
+    let used = new Set([root.toLowerCase()]); // allow for case-insensitive filesystems
+    for (let container in layout) {
+        let parent = doc;
+        for (let segment of container.split('/')) {
+            parent = (parent && (typeof parent === 'object') ? parent[segment] : false);
+        }
+        if (!parent || (typeof parent !== 'object')) continue;
+        for (let name in parent) {
+            if (name.startsWith('x-')) continue;
+            let dir = layout[container].replace(/\/$/, '');
+            let base = (dir ? dir + '/' : '') + fileName(name, container, options);
+            let file = base + ext;
+            for (let suffix = 2; used.has(file.toLowerCase()); suffix++) {
+                file = base + '_' + suffix + ext;
+            }
+            used.add(file.toLowerCase());
+            units.push({ pointer: '#/' + container + '/' + jpescape(name), file: file, data: parent[name] });
+            parent[name] = { $ref: relative(root, file) };
+        }
+    }
+
+    rewriteRefs(doc, root, '#', units, root);
+    for (let unit of units) {
+        rewriteRefs(unit.data, unit.file, unit.pointer, units, root);
+        files[unit.file] = unit.data;
+    }
+    return files;
+}
+
+module.exports = {
+    split: split
+};
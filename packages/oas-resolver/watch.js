@@ -0,0 +1,101 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const getDependencyGraph = require('./graph.js').getDependencyGraph;
+
+const defaultDelay = 100; // milliseconds
+
+/**
+* finds the local files making up a definition, from the options of a
+* (possibly failed) resolver run
+* @return array of absolute file paths, the root document first
+*/
+function getLocalFiles(options) {
+    return getDependencyGraph(options).nodes.filter(function (node) {
+        return (node.type === 'file') && node.id;
+    }).map(function (node) {
+        return path.resolve(node.id);
+    });
+}
+
+/**
+* watches a set of local files for changes. The directories holding them are
+* watched rather than the files themselves, so that files replaced on save
+* or created after a failed resolution are seen
+* @param callback called with an array of the absolute paths of the changed
+* files once they have been quiet for options.delay milliseconds. If it
+* returns a Promise, further changes are collected until it settles
+* @return a watcher with update(files) to set the files watched and close()
+*/
+function watch(callback, options) {
+    if (!options) options = {};
+    let files = [];
+    let watchers = {};
+    let changed = [];
+    let timer = null;
+    let busy = false;
+
+    function fire() {
+        timer = null;
+        if (busy || !changed.length) return;
+        let list = changed;
+        changed = [];
+        busy = true;
+        Promise.resolve(callback(list))
+            .catch(function (ex) {
+                console.warn(ex);
+            })
+            .then(function () {
+                busy = false;
+                if (changed.length) fire();
+            });
+    }
+
+    function onChange(dir, filename) {
+        if (!filename) return;
+        let file = path.join(dir, filename.toString());
+        if (files.indexOf(file) < 0) return;
+        if (changed.indexOf(file) < 0) changed.push(file);
+        if (timer) clearTimeout(timer);
+        timer = setTimeout(fire, options.delay || defaultDelay);
+    }
+
+    return {
+        update: function (list) {
+            files = list.map(function (file) { return path.resolve(file); });
+            let dirs = files.map(function (file) { return path.dirname(file); })
+                .filter(function (dir, index, dirs) { return dirs.indexOf(dir) === index; });
+            for (let dir in watchers) {
+                if (dirs.indexOf(dir) < 0) {
+                    watchers[dir].close();
+                    delete watchers[dir];
+                }
+            }
+            for (let dir of dirs) {
+                if (watchers[dir]) continue;
+                try {
+                    watchers[dir] = fs.watch(dir, function (event, filename) {
+                        onChange(dir, filename);
+                    });
+                }
+                catch (ex) {
+                    if (options.verbose) console.warn('Cannot watch', dir, ex.message);
+                }
+            }
+        },
+        close: function () {
+            if (timer) clearTimeout(timer);
+            for (let dir in watchers) {
+                watchers[dir].close();
+            }
+            watchers = {};
+        }
+    };
+}
+
+module.exports = {
+    getLocalFiles: getLocalFiles,
+    watch: watch
+};
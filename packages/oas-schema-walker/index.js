@@ -114,6 +114,30 @@ function walkSchema(schema, parent, state, callback) {
         state.property = 'not';
         walkSchema(schema.not,schema,state,callback);
     }
+    // JSON Schema draft 2020-12 keywords, used by OpenAPI 3.1
+    if (Array.isArray(schema.prefixItems)) {
+        for (let index in schema.prefixItems) {
+            let subSchema = schema.prefixItems[index];
+            state.property = 'prefixItems/'+index;
+            walkSchema(subSchema,schema,state,callback);
+        }
+    }
+    for (let keyword of ['$defs','dependentSchemas']) {
+        if (schema[keyword] && (typeof schema[keyword] === 'object')) {
+            for (let prop in schema[keyword]) {
+                let subSchema = schema[keyword][prop];
+                state.property = keyword+'/'+prop;
+                walkSchema(subSchema,schema,state,callback);
+            }
+        }
+    }
+    for (let keyword of ['if','then','else','contains','propertyNames',
+        'unevaluatedItems','unevaluatedProperties','contentSchema']) {
+        if (schema[keyword] && (typeof schema[keyword] === 'object')) {
+            state.property = keyword;
+            walkSchema(schema[keyword],schema,state,callback);
+        }
+    }
     state.depth--;
     return schema;
 }
@@ -2,6 +2,7 @@
 'use strict';
 
 const fs = require('fs');
+const path = require('path');
 const url = require('url');
 const URL = url.URL;
 const util = require('util');
@@ -55,16 +56,79 @@ const jsonSchema = require('./schemas/json_v5.json');
 const validateMetaSchema = ajv.compile(jsonSchema);
 let openapi3Schema = require('./schemas/openapi-3.0.json');
 let validateOpenAPI3 = ajv.compile(openapi3Schema);
+const openapi31Schema = require('./schemas/openapi-3.1.json');
+const validateOpenAPI31 = ajv.compile(openapi31Schema);
+
+const knownDialects = [
+    'https://spec.openapis.org/oas/3.1/dialect/base',
+    'https://json-schema.org/draft/2020-12/schema'
+];
+const schemaTypes31 = ['null','boolean','object','array','number','string','integer'];
 
 const dummySchema = { anyOf: {} };
 const emptySchema = {};
 const urlRegexStr = '^(?!mailto:)(?:(?:http|https|ftp)://)(?:\\S+(?::\\S*)?@)?(?:(?:(?:[1-9]\\d?|1\\d\\d|2[01]\\d|22[0-3])(?:\\.(?:1?\\d{1,2}|2[0-4]\\d|25[0-5])){2}(?:\\.(?:[0-9]\\d?|1\\d\\d|2[0-4]\\d|25[0-4]))|(?:(?:[a-z\\u00a1-\\uffff0-9]+-?)*[a-z\\u00a1-\\uffff0-9]+)(?:\\.(?:[a-z\\u00a1-\\uffff0-9]+-?)*[a-z\\u00a1-\\uffff0-9]+)*(?:\\.(?:[a-z\\u00a1-\\uffff]{2,})))|localhost)(?::\\d{2,5})?(?:(/|\\?|#)[^\\s]*)?$';
 const urlRegex = new RegExp(urlRegexStr, 'i');
 
+function isOAS31(openapi) {
+    return !!(openapi && (typeof openapi.openapi === 'string') && openapi.openapi.startsWith('3.1.'));
+}
+
 function contextAppend(options, s) {
     options.context.push((options.context[options.context.length - 1] + '/' + s).split('//').join('/'));
 }
 
+/**
+* records an error in allErrors mode, with its source location if known
+*/
+function addError(pointer, message, ruleName, options, severity) {
+    let error = {
+        pointer: pointer,
+        message: message,
+        severity: severity || 'error',
+        ruleName: ruleName
+    };
+    let location = common.getLocation(options.sourceMap, pointer);
+    if (location) {
+        error.file = location.file;
+        error.line = location.line;
+        error.column = location.column;
+    }
+    options.errors.push(error);
+}
+
+/**
+* records a warning against the current context. With options.allErrors set it
+* is added to options.errors with a severity of warn, as linter warnings are
+*/
+function addWarning(message, options) {
+    let pointer = options.context[options.context.length - 1] || '#/';
+    if (options.allErrors) {
+        addError(pointer, message, null, options, 'warn');
+    }
+    else {
+        options.warnings.push(message);
+    }
+}
+
+/**
+* runs a unit of validation. With options.allErrors set, a failure is recorded
+* in options.errors against the current context and validation continues
+*/
+function collect(options, fn) {
+    if (!options.allErrors) return fn();
+    let depth = options.context.length;
+    try {
+        fn();
+    }
+    catch (ex) {
+        addError(options.context[options.context.length - 1] || '#/', ex.message,
+            (options.lintRule ? options.lintRule.name : null), options);
+        options.context.length = depth;
+    }
+    delete options.lintRule;
+}
+
 function validateUrl(s, contextServers, context, options) {
     should(s).be.a.String();
     should(s).not.be.Null();
@@ -106,7 +170,95 @@ function validateSchema(schema, openapi, options) {
     return !(errors && errors.length);
 }
 
+const boundPairs = [['minimum','maximum'],['minLength','maxLength'],['minItems','maxItems'],
+    ['minProperties','maxProperties'],['minContains','maxContains']];
+
+function sameValue(a, b) {
+    if ((a === null) || (b === null) || (typeof a !== 'object') || (typeof b !== 'object')) return a === b;
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+* finds why a value does not match the type of a schema
+* @return the reason, or false if it matches
+*/
+function typeMismatch(value, schema, oas31) {
+    if (typeof schema.type === 'undefined') return false;
+    let types = (Array.isArray(schema.type) ? schema.type : [schema.type]);
+    if (value === null) {
+        if ((types.indexOf('null') >= 0) || (!oas31 && (schema.nullable === true))) return false;
+        return 'must not be null';
+    }
+    let realType = (Array.isArray(value) ? 'array' : typeof value);
+    if ((realType === 'number') && Number.isInteger(value)) realType = 'integer';
+    if ((types.indexOf(realType) >= 0) || ((realType === 'integer') && (types.indexOf('number') >= 0))) return false;
+    return 'must be of type ' + types.join(' or ');
+}
+
+/**
+* finds why a value does not conform to the type, enum, bounds, pattern or
+* format of a schema, without following any subschemas
+* @return the reason, or false if it conforms
+*/
+function nonConformance(value, schema, oas31) {
+    let reason = typeMismatch(value, schema, oas31);
+    if (reason || (value === null)) return reason;
+    if (Array.isArray(schema.enum) && !schema.enum.some(function (member) { return sameValue(member, value); })) {
+        return 'must be one of the enum values';
+    }
+    if (typeof value === 'number') {
+        if ((typeof schema.minimum === 'number') && (value < schema.minimum)) return 'must be >= ' + schema.minimum;
+        if ((typeof schema.maximum === 'number') && (value > schema.maximum)) return 'must be <= ' + schema.maximum;
+        let exclusiveMinimum = (oas31 ? schema.exclusiveMinimum : (schema.exclusiveMinimum === true) && schema.minimum);
+        let exclusiveMaximum = (oas31 ? schema.exclusiveMaximum : (schema.exclusiveMaximum === true) && schema.maximum);
+        if ((typeof exclusiveMinimum === 'number') && (value <= exclusiveMinimum)) return 'must be > ' + exclusiveMinimum;
+        if ((typeof exclusiveMaximum === 'number') && (value >= exclusiveMaximum)) return 'must be < ' + exclusiveMaximum;
+        if ((schema.format === 'int32') && ((value < -2147483648) || (value > 2147483647))) return 'must be a 32-bit integer';
+    }
+    else if (typeof value === 'string') {
+        let length = Array.from(value).length;
+        if ((typeof schema.minLength === 'number') && (length < schema.minLength)) return 'must have at least ' + schema.minLength + ' characters';
+        if ((typeof schema.maxLength === 'number') && (length > schema.maxLength)) return 'must have at most ' + schema.maxLength + ' characters';
+        if ((typeof schema.pattern === 'string') && !new RegExp(schema.pattern).test(value)) return 'must match pattern ' + schema.pattern;
+        let format = (schema.format === 'byte' ? /^[A-Za-z0-9+\/]*={0,2}$/ : ajvFormats.full[schema.format]);
+        if (format && !(typeof format === 'function' ? format(value) : format.test(value))) return 'must match format ' + schema.format;
+    }
+    else if (Array.isArray(value)) {
+        if ((typeof schema.minItems === 'number') && (value.length < schema.minItems)) return 'must have at least ' + schema.minItems + ' items';
+        if ((typeof schema.maxItems === 'number') && (value.length > schema.maxItems)) return 'must have at most ' + schema.maxItems + ' items';
+    }
+    else if (typeof value === 'object') {
+        let count = Object.keys(value).length;
+        if ((typeof schema.minProperties === 'number') && (count < schema.minProperties)) return 'must have at least ' + schema.minProperties + ' properties';
+        if ((typeof schema.maxProperties === 'number') && (count > schema.maxProperties)) return 'must have at most ' + schema.maxProperties + ' properties';
+    }
+    return false;
+}
+
+/**
+* checks that the lower bounds of a schema do not exceed its upper bounds, that
+* its enum members match its type and that its default conforms to it
+*/
+function checkSchemaValues(schema, oas31) {
+    for (let pair of boundPairs) {
+        if ((typeof schema[pair[0]] === 'number') && (typeof schema[pair[1]] === 'number')) {
+            should(schema[pair[0]] <= schema[pair[1]]).be.exactly(true, pair[0]+' must not be greater than '+pair[1]);
+        }
+    }
+    if (Array.isArray(schema.enum)) {
+        schema.enum.forEach(function (member, index) {
+            let reason = typeMismatch(member, schema, oas31);
+            if (reason) should.fail(false, true, 'enum member ' + index + ' ' + reason);
+        });
+    }
+    if (typeof schema.default !== 'undefined') {
+        let reason = nonConformance(schema.default, schema, oas31);
+        if (reason) should.fail(false, true, 'default ' + reason);
+    }
+}
+
 function checkSubSchema(schema, parent, state) {
+    if (isOAS31(state.openapi)) return checkSubSchema31(schema, parent, state);
     let prop = state.property;
     if (prop) contextAppend(state.options, prop);
     if (state.options.lint) state.options.linter('schema',schema,'schema',state.options);
@@ -261,11 +413,6 @@ function checkSubSchema(schema, parent, state) {
     }
     if (typeof schema.default !== 'undefined') {
         should(schema).have.property('type');
-        let realType = typeof schema.default;
-        let schemaType = schema.type;
-        if (Array.isArray(schema.default)) realType = 'array';
-        if (schemaType === 'integer') schemaType = 'number';
-        should(schemaType).equal(realType);
     }
     if (typeof schema.format !== 'undefined') {
         should(schema.format).be.a.String();
@@ -321,10 +468,157 @@ function checkSubSchema(schema, parent, state) {
         should.doesNotThrow(function() { validateUrl(schema.externalDocs.url, [state.openapi.servers], 'externalDocs', state.options)}, 'Invalid externalDocs.url');
         if (state.options.lint) state.options.linter('externalDocs',schema.externalDocs,'externalDocs',state.options);
     }
+    checkSchemaValues(schema, false);
     if (prop) state.options.context.pop();
     if (!prop || prop === 'schema') validateSchema(schema, state.openapi, state.options); // top level only
 }
 
+function checkTypeAndFormat31(schema) {
+    let types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (typeof schema.default !== 'undefined') {
+        let realType = (schema.default === null) ? 'null' : typeof schema.default;
+        if (Array.isArray(schema.default)) realType = 'array';
+        let schemaTypes = types.map(function(t){ return (t === 'integer' ? 'number' : t); });
+        should(schemaTypes.indexOf(realType)).be.greaterThan(-1,'default must match schema type');
+    }
+    if (typeof schema.format === 'string') {
+        if (['date-time','email','hostname','ipv4','ipv6','uri','uriref',
+            'byte','binary','date','password'].indexOf(schema.format) >= 0) {
+            should(types.indexOf('string')).be.greaterThan(-1,`Invalid type ${schema.type} for format ${schema.format}`);
+        }
+        if (['int32','int64'].indexOf(schema.format) >= 0) {
+            should(types.indexOf('integer')>=0 || types.indexOf('number')>=0 || types.indexOf('string')>=0).be.exactly(true,`Invalid type ${schema.type} for format ${schema.format}`);
+        }
+    }
+}
+
+/**
+* OpenAPI 3.1 schemas are a superset of JSON Schema draft 2020-12, so unknown
+* keywords are permitted and only the types of known keywords are checked
+*/
+function checkSubSchema31(schema, parent, state) {
+    let prop = state.property;
+    if (prop) contextAppend(state.options, prop);
+    if (state.options.lint) state.options.linter('schema',schema,'schema',state.options);
+    if (typeof schema === 'boolean') {
+        if (prop) state.options.context.pop();
+        return;
+    }
+    should(schema).be.an.Object();
+    should(schema).not.be.an.Array();
+
+    if (typeof schema.$ref !== 'undefined') {
+        should(schema.$ref).be.a.String();
+        if (state.options.lint) state.options.linter('reference',schema,'$ref',state.options);
+    }
+    if (state.options.schemaDialect === false) { // unknown jsonSchemaDialect, we cannot check keywords
+        if (prop) state.options.context.pop();
+        return;
+    }
+    for (let k of ['$id','$schema','$anchor','$dynamicAnchor','$dynamicRef','$comment',
+        'title','description','contentEncoding','contentMediaType','format']) {
+        if (typeof schema[k] !== 'undefined') {
+            should(schema[k]).be.type('string',k+' must be a string');
+        }
+    }
+    for (let k of ['multipleOf','maximum','exclusiveMaximum','minimum','exclusiveMinimum']) {
+        if (typeof schema[k] !== 'undefined') {
+            should(schema[k]).be.type('number',k+' must be a number');
+        }
+    }
+    if (typeof schema.multipleOf !== 'undefined') {
+        should(schema.multipleOf).be.greaterThan(0);
+    }
+    for (let k of ['maxLength','minLength','maxItems','minItems','maxContains','minContains','maxProperties','minProperties']) {
+        if (typeof schema[k] !== 'undefined') {
+            should(schema[k]).be.type('number',k+' must be a number');
+            should(schema[k]).be.greaterThan(-1);
+        }
+    }
+    for (let k of ['uniqueItems','readOnly','writeOnly','deprecated']) {
+        if (typeof schema[k] !== 'undefined') {
+            should(schema[k]).be.type('boolean',k+' must be a boolean');
+        }
+    }
+    for (let k of ['allOf','anyOf','oneOf','prefixItems']) {
+        if (typeof schema[k] !== 'undefined') {
+            should(schema[k]).be.an.Array();
+            should(schema[k]).not.be.empty();
+        }
+    }
+    for (let k of ['items','additionalProperties','not','if','then','else','contains',
+        'propertyNames','unevaluatedItems','unevaluatedProperties','contentSchema']) {
+        if (typeof schema[k] !== 'undefined') {
+            should(typeof schema[k] === 'boolean' || (typeof schema[k] === 'object' && schema[k] !== null && !Array.isArray(schema[k]))).be.exactly(true,k+' must be a boolean or schema');
+        }
+    }
+    for (let k of ['properties','patternProperties','$defs','dependentSchemas','dependentRequired']) {
+        if (typeof schema[k] !== 'undefined') {
+            should(schema[k]).be.an.Object();
+            should(schema[k]).not.be.an.Array();
+        }
+    }
+    if (schema.pattern) {
+        try {
+            let regex = new RegExp(schema.pattern);
+        }
+        catch (ex) {
+            should.fail(false,true,'pattern does not conform to ECMA-262');
+        }
+    }
+    for (let p in schema.patternProperties) {
+        try {
+            let regex = new RegExp(p);
+        }
+        catch (ex) {
+            should.fail(false,true,'patternProperty '+p+' does not conform to ECMA-262');
+        }
+    }
+    if (typeof schema.required !== 'undefined') {
+        should(schema.required).be.an.Array();
+        should(common.hasDuplicates(schema.required)).be.exactly(false,'required items must be unique');
+    }
+    for (let p in schema.dependentRequired) {
+        should(schema.dependentRequired[p]).be.an.Array();
+    }
+    if (typeof schema.enum !== 'undefined') {
+        should(schema.enum).be.an.Array();
+    }
+    if (typeof schema.examples !== 'undefined') {
+        should(schema.examples).be.an.Array();
+    }
+    if (typeof schema.type !== 'undefined') {
+        let types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        should(common.hasDuplicates(types)).be.exactly(false,'type array items must be unique');
+        for (let type of types) {
+            should(type).be.a.String();
+            should(type).equalOneOf(schemaTypes31);
+        }
+        checkTypeAndFormat31(schema);
+    }
+    if (typeof schema.nullable !== 'undefined') {
+        addWarning('nullable has no effect in OpenAPI 3.1, use a type array including null '+state.options.context[state.options.context.length-1], state.options);
+    }
+    if (typeof schema.discriminator !== 'undefined') {
+        should(schema.discriminator).be.an.Object();
+        should(schema.discriminator).not.be.an.Array();
+        should(schema.discriminator).have.property('propertyName');
+    }
+    if (typeof schema.xml !== 'undefined') {
+        should(schema.xml).be.an.Object();
+        should(schema.xml).not.be.an.Array();
+    }
+    if (typeof schema.externalDocs !== 'undefined') {
+        should(schema.externalDocs).be.an.Object();
+        should(schema.externalDocs).not.be.an.Array();
+        should(schema.externalDocs).have.key('url');
+        should.doesNotThrow(function() { validateUrl(schema.externalDocs.url, [state.openapi.servers], 'externalDocs', state.options)}, 'Invalid externalDocs.url');
+        if (state.options.lint) state.options.linter('externalDocs',schema.externalDocs,'externalDocs',state.options);
+    }
+    checkSchemaValues(schema, true);
+    if (prop) state.options.context.pop();
+}
+
 function checkSchema(schema,parent,prop,openapi,options) {
     let state = sw.getDefaultState();
     state.openapi = openapi;
@@ -333,6 +627,150 @@ function checkSchema(schema,parent,prop,openapi,options) {
     sw.walkSchema(schema,parent,state,checkSubSchema);
 }
 
+const exampleAjvs = new WeakMap(); // ajv instances for validating examples, by openapi document
+const subSchemas = ['items', 'additionalItems', 'additionalProperties', 'not', 'contains', 'propertyNames',
+    'if', 'then', 'else', 'unevaluatedItems', 'unevaluatedProperties'];
+const subSchemaArrays = ['allOf', 'anyOf', 'oneOf', 'prefixItems'];
+const subSchemaMaps = ['properties', 'patternProperties', 'definitions', '$defs', 'dependentSchemas'];
+const annotations = ['$schema', '$id', 'example', 'discriminator', 'xml', 'externalDocs', 'nullable'];
+
+/**
+* translates a schema from the OpenAPI dialect into JSON Schema for ajv.
+* nullable becomes a null type, boolean exclusiveMinimum / exclusiveMaximum
+* become numbers, readOnly properties are not required in requests nor
+* writeOnly ones in responses, and internal $refs point into the copy of the
+* components registered under the direction
+*/
+function translateSchema(schema, direction, oas31) {
+    if (!schema || (typeof schema !== 'object')) return schema;
+    if (typeof schema.$ref === 'string') {
+        let ref = { $ref: (schema.$ref.startsWith('#') ? direction + schema.$ref : schema.$ref) };
+        if (!oas31) return ref; // all other properties SHALL be ignored
+        let rest = Object.assign({}, schema);
+        delete rest.$ref;
+        return { allOf: [ref, translateSchema(rest, direction, oas31)] };
+    }
+    let result = {};
+    for (let k in schema) {
+        if (k.startsWith('x-') || (annotations.indexOf(k) >= 0)) continue;
+        let value = schema[k];
+        if (subSchemas.indexOf(k) >= 0) {
+            result[k] = (Array.isArray(value) ? value.map(function (sub) { return translateSchema(sub, direction, oas31); })
+                : translateSchema(value, direction, oas31));
+        }
+        else if ((subSchemaArrays.indexOf(k) >= 0) && Array.isArray(value)) {
+            result[k] = value.map(function (sub) { return translateSchema(sub, direction, oas31); });
+        }
+        else if ((subSchemaMaps.indexOf(k) >= 0) && value && (typeof value === 'object')) {
+            result[k] = {};
+            for (let name in value) {
+                result[k][name] = translateSchema(value[name], direction, oas31);
+            }
+        }
+        else {
+            result[k] = clone(value);
+        }
+    }
+    if (oas31) return result;
+    for (let bound of ['Minimum', 'Maximum']) {
+        let exclusive = 'exclusive' + bound;
+        if (typeof result[exclusive] === 'boolean') {
+            if (result[exclusive] && (typeof result[bound.toLowerCase()] === 'number')) {
+                result[exclusive] = result[bound.toLowerCase()];
+                delete result[bound.toLowerCase()];
+            }
+            else delete result[exclusive];
+        }
+    }
+    if (Array.isArray(result.required) && schema.properties) {
+        let hidden = (direction === 'request' ? 'readOnly' : 'writeOnly');
+        result.required = result.required.filter(function (name) {
+            return !(schema.properties[name] && schema.properties[name][hidden]);
+        });
+        if (!result.required.length) delete result.required;
+    }
+    if (schema.nullable === true) {
+        if (typeof result.type === 'string') {
+            result.type = [result.type, 'null'];
+            if (Array.isArray(result.enum) && (result.enum.indexOf(null) < 0)) result.enum.push(null);
+        }
+        else if (typeof result.type === 'undefined') {
+            result = { anyOf: [{ type: 'null' }, result] };
+        }
+    }
+    return result;
+}
+
+/**
+* compiles a validator for example values against an OpenAPI schema, in
+* request or response direction
+*/
+function getExampleValidator(schema, direction, openapi) {
+    let ajvExamples = exampleAjvs.get(openapi);
+    if (!ajvExamples) {
+        ajvExamples = require('ajv')({
+            allErrors: true,
+            jsonPointers: true,
+            unknownFormats: 'ignore', // e.g. int32 and password
+            logger: false
+        });
+        ajvExamples.addFormat('byte', /^[A-Za-z0-9+\/]*={0,2}$/);
+        exampleAjvs.set(openapi, ajvExamples);
+    }
+    let oas31 = isOAS31(openapi);
+    if (!ajvExamples.getSchema(direction)) {
+        let schemas = {};
+        let components = (openapi.components && openapi.components.schemas) || {};
+        for (let name in components) {
+            schemas[name] = translateSchema(components[name], direction, oas31);
+        }
+        ajvExamples.addSchema({ components: { schemas: schemas } }, direction);
+    }
+    return ajvExamples.compile(translateSchema(schema, direction, oas31));
+}
+
+/**
+* with options.validateExamples set, checks an example value against its
+* schema. Examples in responses are checked as such, anything else as part of
+* a request
+*/
+function checkExampleValue(value, schema, openapi, options) {
+    let pointer = options.context[options.context.length - 1];
+    let validate;
+    try {
+        validate = getExampleValidator(schema, (pointer.indexOf('/responses/') >= 0 ? 'response' : 'request'), openapi);
+    }
+    catch (ex) {
+        addWarning('Cannot validate example '+pointer+' '+ex.message, options);
+        return;
+    }
+    if (validate(value)) return;
+    let message = 'Example does not match its schema: ' + exampleAjvs.get(openapi).errorsText(validate.errors, { dataVar: 'example' });
+    if (options.allErrors) addError(pointer, message, null, options);
+    else should.fail(false, true, message);
+}
+
+/**
+* checks the example or examples of a media type, parameter or header against
+* its schema, if options.validateExamples is set
+*/
+function checkExampleValues(container, schema, openapi, options) {
+    if (!options.validateExamples || (typeof schema === 'undefined')) return;
+    if (typeof container.example !== 'undefined') {
+        contextAppend(options, 'example');
+        checkExampleValue(container.example, schema, openapi, options);
+        options.context.pop();
+    }
+    for (let e in container.examples || {}) {
+        let ex = container.examples[e];
+        if (ex && (typeof ex.$ref === 'string')) ex = resolveInternal(openapi, ex.$ref);
+        if (!ex || (typeof ex.value === 'undefined')) continue; // externalValue is not fetched
+        contextAppend(options, 'examples/' + jptr.jpescape(e) + '/value');
+        checkExampleValue(ex.value, schema, openapi, options);
+        options.context.pop();
+    }
+}
+
 function checkExample(ex, contextServers, openapi, options) {
     should(ex).be.an.Object();
     should(ex).not.be.an.Array();
@@ -369,42 +807,45 @@ function checkContent(content, contextServers, openapi, options) {
     should(content).not.be.an.Array();
     for (let ct in content) {
         contextAppend(options, jptr.jpescape(ct));
-        // validate ct against https://tools.ietf.org/html/rfc6838#section-4.2
-        if (options.mediatype) {
-            should(/[a-zA-Z0-9!#$%^&\*_\-\+{}\|'.`~]+\/[a-zA-Z0-9!#$%^&\*_\-\+{}\|'.`~]+/.test(ct)).be.exactly(true,'media-type should match RFC6838 format'); // this is a SHOULD not MUST
-        }
-        let contentType = content[ct];
-        should(contentType).be.an.Object();
-        should(contentType).not.be.an.Array();
+        collect(options, function () {
+            // validate ct against https://tools.ietf.org/html/rfc6838#section-4.2
+            if (options.mediatype) {
+                should(/[a-zA-Z0-9!#$%^&\*_\-\+{}\|'.`~]+\/[a-zA-Z0-9!#$%^&\*_\-\+{}\|'.`~]+/.test(ct)).be.exactly(true,'media-type should match RFC6838 format'); // this is a SHOULD not MUST
+            }
+            let contentType = content[ct];
+            should(contentType).be.an.Object();
+            should(contentType).not.be.an.Array();
 
-        if (typeof contentType.schema !== 'undefined') {
-            checkSchema(contentType.schema,emptySchema,'schema',openapi,options);
-        }
-        if (typeof contentType.example !== 'undefined') {
-            should(contentType).not.have.property('examples');
-        }
-        if (typeof contentType.examples !== 'undefined') {
-            contextAppend(options, 'examples');
-            should(contentType).not.have.property('example');
-            should(contentType.examples).be.an.Object();
-            should(contentType.examples).not.be.an.Array();
-            for (let e in contentType.examples) {
-                let ex = contentType.examples[e];
-                if (typeof ex.$ref === 'undefined') {
-                    checkExample(ex, contextServers, openapi, options);
-                }
-                else {
-                    if (options.lint) options.linter('reference',ex,'$ref',options);
+            if (typeof contentType.schema !== 'undefined') {
+                checkSchema(contentType.schema,emptySchema,'schema',openapi,options);
+            }
+            if (typeof contentType.example !== 'undefined') {
+                should(contentType).not.have.property('examples');
+            }
+            if (typeof contentType.examples !== 'undefined') {
+                contextAppend(options, 'examples');
+                should(contentType).not.have.property('example');
+                should(contentType.examples).be.an.Object();
+                should(contentType.examples).not.be.an.Array();
+                for (let e in contentType.examples) {
+                    let ex = contentType.examples[e];
+                    if (typeof ex.$ref === 'undefined') {
+                        checkExample(ex, contextServers, openapi, options);
+                    }
+                    else {
+                        if (options.lint) options.linter('reference',ex,'$ref',options);
+                    }
                 }
+                options.context.pop();
             }
-            options.context.pop();
-        }
+            checkExampleValues(contentType, contentType.schema, openapi, options);
 
-        for (let k in contentType) {
-            if (!k.startsWith('x-')) {
-                should(['schema','example','examples','encoding'].indexOf(k)).be.greaterThan(-1,'mediaType object cannot have additionalProperty: '+k);
+            for (let k in contentType) {
+                if (!k.startsWith('x-')) {
+                    should(['schema','example','examples','encoding'].indexOf(k)).be.greaterThan(-1,'mediaType object cannot have additionalProperty: '+k);
+                }
             }
-        }
+        });
         options.context.pop();
     }
     options.context.pop();
@@ -456,8 +897,9 @@ function checkServers(servers, options) {
     //should(common.distinctArray(servers)).be.exactly(true,'servers array must be distinct'); // TODO move to linter
     for (let s in servers) {
         contextAppend(options, s);
-        let server = servers[s];
-        checkServer(server, options);
+        collect(options, function () {
+            checkServer(servers[s], options);
+        });
         options.context.pop();
     }
 }
@@ -526,6 +968,7 @@ function checkHeader(header, contextServers, openapi, options) {
             should(header.allowReserved).be.type('boolean');
         }
         checkSchema(header.schema, emptySchema, 'schema', openapi, options);
+        checkExampleValues(header, header.schema, openapi, options);
     }
     if (header.content) {
         should(header).not.have.property('schema');
@@ -559,8 +1002,10 @@ function checkResponse(response, contextServers, openapi, options) {
         contextAppend(options, 'headers');
         for (let h in response.headers) {
             contextAppend(options, h);
-            should(validateHeaderName(h)).be.equal(true, 'Header doesn\'t match RFC7230 pattern');
-            checkHeader(response.headers[h], contextServers, openapi, options);
+            collect(options, function () {
+                should(validateHeaderName(h)).be.equal(true, 'Header doesn\'t match RFC7230 pattern');
+                checkHeader(response.headers[h], contextServers, openapi, options);
+            });
             options.context.pop();
         }
         options.context.pop();
@@ -574,7 +1019,9 @@ function checkResponse(response, contextServers, openapi, options) {
         contextAppend(options, 'links');
         for (let l in response.links) {
             contextAppend(options, l);
-            checkLink(response.links[l], openapi, options);
+            collect(options, function () {
+                checkLink(response.links[l], openapi, options);
+            });
             options.context.pop();
         }
         options.context.pop();
@@ -663,6 +1110,7 @@ function checkParam(param, index, path, contextServers, openapi, options) {
             options.context.pop();
         }
         checkSchema(param.schema, emptySchema, 'schema', openapi, options);
+        checkExampleValues(param, param.schema, openapi, options);
     }
     if (param.content) {
         should(param).not.have.property('schema');
@@ -695,75 +1143,97 @@ function checkPathItem(pathItem, path, openapi, options) {
     if (typeof pathItem.parameters !== 'undefined') should(pathItem.parameters).be.an.Array();
     for (let p in pathItem.parameters) {
         contextAppend(options, 'parameters');
-        let param = checkParam(pathItem.parameters[p], p, path, contextServers, openapi, options);
-        if (pathParameters[param.in+':'+param.name]) {
-            should.fail(false,true,'Duplicate path-level parameter '+param.name);
-        }
-        else {
-            pathParameters[param.in+':'+param.name] = param;
-        }
+        collect(options, function () {
+            let param = checkParam(pathItem.parameters[p], p, path, contextServers, openapi, options);
+            if (pathParameters[param.in+':'+param.name]) {
+                should.fail(false,true,'Duplicate path-level parameter '+param.name);
+            }
+            else {
+                pathParameters[param.in+':'+param.name] = param;
+            }
+        });
         options.context.pop();
     }
 
     for (let o in pathItem) {
         contextAppend(options, o);
-        let op = pathItem[o];
-        if (o === '$ref') {
-            should(op).be.ok();
-            should(op).have.type('string');
+        collect(options, function () {
+            checkPathItemProperty(pathItem, o, path, pathParameters, contextServers, openapi, options);
+        });
+        options.context.pop();
+    }
+    if (options.lint) options.linter('pathItem',pathItem,path,options);
+    if (options.lint) options.linter('paths',openapi.paths,path,options);
+    return true;
+}
+
+/**
+* checks one property of a path item, such as an operation. In allErrors mode
+* each of its parameters, responses and other parts is checked separately
+*/
+function checkPathItemProperty(pathItem, o, path, pathParameters, contextServers, openapi, options) {
+    let op = pathItem[o];
+    if (o === '$ref') {
+        should(op).be.ok();
+        should(op).have.type('string');
+        if (!isOAS31(openapi)) { // 3.1 allows #/components/pathItems
             should(op.startsWith('#/')).equal(false,'PathItem $refs must be external ('+op+')');
-            if (options.lint) options.linter('reference',pathItem,'$ref',options);
-        }
-        else if (o === 'parameters') {
-            // checked above
-        }
-        else if (o === 'servers') {
-            contextAppend(options, 'servers');
-            checkServers(op, options); // won't be here in converted definitions
-            options.context.pop();
-        }
-        else if (o === 'summary') {
-            should(pathItem.summary).have.type('string');
         }
-        else if (o === 'description') {
-            should(pathItem.description).have.type('string');
-        }
-        else if (common.httpMethods.indexOf(o) >= 0) {
-            should(op).be.an.Object();
-            should(op).not.be.an.Array();
-            should(op).not.have.property('consumes');
-            should(op).not.have.property('produces');
-            should(op).not.have.property('schemes');
+        if (options.lint) options.linter('reference',pathItem,'$ref',options);
+    }
+    else if (o === 'parameters') {
+        // checked above
+    }
+    else if (o === 'servers') {
+        contextAppend(options, 'servers');
+        checkServers(op, options); // won't be here in converted definitions
+        options.context.pop();
+    }
+    else if (o === 'summary') {
+        should(pathItem.summary).have.type('string');
+    }
+    else if (o === 'description') {
+        should(pathItem.description).have.type('string');
+    }
+    else if (common.httpMethods.indexOf(o) >= 0) {
+        should(op).be.an.Object();
+        should(op).not.be.an.Array();
+        should(op).not.have.property('consumes');
+        should(op).not.have.property('produces');
+        should(op).not.have.property('schemes');
+        if (!isOAS31(openapi) || (typeof op.responses !== 'undefined')) {
             should(op).have.property('responses');
             should(op.responses).be.an.Object();
             should(op.responses).not.be.an.Array();
-            should(op.responses).not.be.empty();
-            if (typeof op.summary !== 'undefined') should(op.summary).have.type('string');
-            if (typeof op.description !== 'undefined') should(op.description).be.a.String();
-            if (typeof op.operationId !== 'undefined') {
-                should(op.operationId).be.a.String();
-                should(options.operationIds.indexOf(op.operationId)).be.exactly(-1,'operationIds must be unique ['+op.operationId+']');
-                options.operationIds.push(op.operationId);
-            }
+            if (!isOAS31(openapi)) should(op.responses).not.be.empty();
+        }
+        if (typeof op.summary !== 'undefined') should(op.summary).have.type('string');
+        if (typeof op.description !== 'undefined') should(op.description).be.a.String();
+        if (typeof op.operationId !== 'undefined') {
+            should(op.operationId).be.a.String();
+            should(options.operationIds.indexOf(op.operationId)).be.exactly(-1,'operationIds must be unique ['+op.operationId+']');
+            options.operationIds.push(op.operationId);
+        }
 
-            if (typeof op.servers !== 'undefined') {
-                contextAppend(options, 'servers');
-                checkServers(op.servers, options); // won't be here in converted definitions
-                options.context.pop();
-                contextServers.push(op.servers);
-            }
+        if (typeof op.servers !== 'undefined') {
+            contextAppend(options, 'servers');
+            checkServers(op.servers, options); // won't be here in converted definitions
+            options.context.pop();
+            contextServers.push(op.servers);
+        }
 
-            if (typeof op.tags !== 'undefined') {
-                contextAppend(options, 'tags');
-                should(op.tags).be.an.Array();
-                for (let tag of op.tags) {
-                    should(tag).be.a.String();
-                }
-                options.context.pop();
+        if (typeof op.tags !== 'undefined') {
+            contextAppend(options, 'tags');
+            should(op.tags).be.an.Array();
+            for (let tag of op.tags) {
+                should(tag).be.a.String();
             }
+            options.context.pop();
+        }
 
-            if (typeof op.requestBody !== 'undefined') {
-                contextAppend(options, 'requestBody');
+        if (typeof op.requestBody !== 'undefined') {
+            contextAppend(options, 'requestBody');
+            collect(options, function () {
                 should(op.requestBody).not.be.null();
                 should(op.requestBody).be.an.Object();
                 should(op.requestBody).not.be.an.Array();
@@ -772,26 +1242,29 @@ function checkPathItem(pathItem, path, openapi, options) {
                 if (typeof op.requestBody.content !== 'undefined') {
                     checkContent(op.requestBody.content, contextServers, openapi, options);
                 }
-                options.context.pop();
-            }
-
-            contextAppend(options, 'responses');
-            for (let r in op.responses) {
-                if (!r.startsWith('x-')) {
-                    contextAppend(options, r);
-                    let response = op.responses[r];
-                    checkResponse(response, contextServers, openapi, options);
-                    options.context.pop();
-                }
-            }
+            });
             options.context.pop();
-            let localPathParameters = clone(pathParameters);
+        }
 
-            let opParameters = {};
-            if (typeof op.parameters !== 'undefined') {
-                should(op.parameters).be.an.Array();
-                contextAppend(options, 'parameters');
-                for (let p in op.parameters) {
+        contextAppend(options, 'responses');
+        for (let r in op.responses) {
+            if (!r.startsWith('x-')) {
+                contextAppend(options, r);
+                collect(options, function () {
+                    checkResponse(op.responses[r], contextServers, openapi, options);
+                });
+                options.context.pop();
+            }
+        }
+        options.context.pop();
+        let localPathParameters = clone(pathParameters);
+
+        let opParameters = {};
+        if (typeof op.parameters !== 'undefined') {
+            should(op.parameters).be.an.Array();
+            contextAppend(options, 'parameters');
+            for (let p in op.parameters) {
+                collect(options, function () {
                     let param = checkParam(op.parameters[p], p, path, contextServers, openapi, options);
                     if (opParameters[param.in+':'+param.name]) {
                         should.fail(false,true,'Duplicate operation-level parameter '+param.name);
@@ -800,67 +1273,67 @@ function checkPathItem(pathItem, path, openapi, options) {
                         opParameters[param.in+':'+param.name] = param;
                         delete localPathParameters[param.in+':'+param.name];
                     }
-                }
-                options.context.pop();
+                });
             }
+            options.context.pop();
+        }
 
-            let contextParameters = Object.assign({},localPathParameters,opParameters);
-            path.replace(/\{(.+?)\}/g, function (match, group1) {
-                if (!contextParameters['path:'+group1]) {
-                    if (!group1.startsWith('$')) { // callbacks
-                        should.fail(false,true,'Templated parameter '+group1+' not found');
-                    }
+        let contextParameters = Object.assign({},localPathParameters,opParameters);
+        path.replace(/\{(.+?)\}/g, function (match, group1) {
+            if (!contextParameters['path:'+group1]) {
+                if (!group1.startsWith('$')) { // callbacks
+                    should.fail(false,true,'Templated parameter '+group1+' not found');
                 }
-            });
+            }
+        });
 
-            if (typeof op.deprecated !== 'undefined') {
-                should(op.deprecated).be.a.Boolean();
+        if (typeof op.deprecated !== 'undefined') {
+            should(op.deprecated).be.a.Boolean();
+        }
+        if (typeof op.externalDocs !== 'undefined') {
+            contextAppend(options, 'externalDocs');
+            should(op.externalDocs).be.an.Object();
+            should(op.externalDocs).not.be.an.Array();
+            should(op.externalDocs).have.key('url');
+            if (typeof op.externalDocs.description !== 'undefined') {
+                should(op.externalDocs.description).be.a.String();
             }
-            if (typeof op.externalDocs !== 'undefined') {
-                contextAppend(options, 'externalDocs');
-                should(op.externalDocs).be.an.Object();
-                should(op.externalDocs).not.be.an.Array();
-                should(op.externalDocs).have.key('url');
-                if (typeof op.externalDocs.description !== 'undefined') {
-                    should(op.externalDocs.description).be.a.String();
+            should.doesNotThrow(function () { validateUrl(op.externalDocs.url, contextServers, 'externalDocs', options) },'Invalid externalDocs.url');
+            if (options.lint) options.linter('externalDocs',op.externalDocs,'externalDocs',options);
+            options.context.pop();
+        }
+        if (op.callbacks) {
+            contextAppend(options, 'callbacks');
+            for (let c in op.callbacks) {
+                let callback = op.callbacks[c];
+                if (callback && typeof callback.$ref !== 'undefined') {
+                    if (options.lint) options.linter('reference',callback,'$ref',options);
                 }
-                should.doesNotThrow(function () { validateUrl(op.externalDocs.url, contextServers, 'externalDocs', options) },'Invalid externalDocs.url');
-                if (options.lint) options.linter('externalDocs',op.externalDocs,'externalDocs',options);
-                options.context.pop();
-            }
-            if (op.callbacks) {
-                contextAppend(options, 'callbacks');
-                for (let c in op.callbacks) {
-                    let callback = op.callbacks[c];
-                    if (callback && typeof callback.$ref !== 'undefined') {
-                        if (options.lint) options.linter('reference',callback,'$ref',options);
-                    }
-                    else {
-                        contextAppend(options, c);
-                        for (let p in callback) {
-                            let cbPi = callback[p];
-                            options.isCallback = true;
+                else {
+                    contextAppend(options, c);
+                    for (let p in callback) {
+                        let cbPi = callback[p];
+                        options.isCallback = true;
+                        collect(options, function () {
                             checkPathItem(cbPi, p, openapi, options);
-                            options.isCallBack = false;
-                        }
-                        options.context.pop();
+                        });
+                        options.isCallBack = false;
                     }
+                    options.context.pop();
                 }
-                options.context.pop();
-            }
-            if (op.security) {
-                checkSecurity(op.security,openapi,options);
             }
-            if (options.lint) options.linter('operation',op,o,options);
+            options.context.pop();
         }
-        else if (!o.startsWith('x-')) {
-            should.fail(false,true,'PathItem should not have additional property '+o);
+        if (op.security) {
+            collect(options, function () {
+                checkSecurity(op.security,openapi,options);
+            });
         }
-        options.context.pop();
+        if (options.lint) options.linter('operation',op,o,options);
+    }
+    else if (!o.startsWith('x-')) {
+        should.fail(false,true,'PathItem should not have additional property '+o);
     }
-    if (options.lint) options.linter('pathItem',pathItem,path,options);
-    if (options.lint) options.linter('paths',openapi.paths,path,options);
-    return true;
 }
 
 function checkSecurity(security,openapi,options) {
@@ -917,228 +1390,289 @@ function validateSync(openapi, options, callback) {
     should(openapi).not.have.key('swagger');
     should(openapi).have.key('openapi');
     should(openapi.openapi).have.type('string');
-    should.ok(openapi.openapi.startsWith('3.0.'), 'Must be an OpenAPI 3.0.x document');
-    should(openapi).not.have.key('host');
-    should(openapi).not.have.key('basePath');
-    should(openapi).not.have.key('schemes');
-    should(openapi).have.key('paths');
-    should(openapi.paths).be.an.Object();
-    should(openapi).not.have.key('definitions');
-    should(openapi).not.have.key('parameters');
-    should(openapi).not.have.key('responses');
-    should(openapi).not.have.key('securityDefinitions');
-    should(openapi).not.have.key('produces');
-    should(openapi).not.have.key('consumes');
-
-    for (let k in openapi) {
-        if (!k.startsWith('x-')) {
-            should(['openapi','info','servers','security','externalDocs','tags','paths','components'].indexOf(k)).be.greaterThan(-1,'OpenAPI object cannot have additionalProperty: '+k);
+    should.ok(openapi.openapi.startsWith('3.0.') || isOAS31(openapi), 'Must be an OpenAPI 3.0.x or 3.1.x document');
+    collect(options, function () {
+        should(openapi).not.have.key('host');
+        should(openapi).not.have.key('basePath');
+        should(openapi).not.have.key('schemes');
+        if (isOAS31(openapi)) {
+            should(['paths','components','webhooks'].some(function(k){ return typeof openapi[k] !== 'undefined'; })).be.exactly(true,'OpenAPI 3.1 documents must contain at least one of paths, components or webhooks');
         }
-    }
+        else {
+            should(openapi).have.key('paths');
+        }
+        if (typeof openapi.paths !== 'undefined') should(openapi.paths).be.an.Object();
+        should(openapi).not.have.key('definitions');
+        should(openapi).not.have.key('parameters');
+        should(openapi).not.have.key('responses');
+        should(openapi).not.have.key('securityDefinitions');
+        should(openapi).not.have.key('produces');
+        should(openapi).not.have.key('consumes');
+    });
 
-    should(openapi).have.key('info');
-    should(openapi.info).be.an.Object();
-    should(openapi.info).not.be.an.Array();
-    contextAppend(options, 'info');
-    should(openapi.info).have.key('title');
-    should(openapi.info.title).be.type('string', 'title should be of type string');
-    should(openapi.info).have.key('version');
-    should(openapi.info.version).be.type('string', 'version should be of type string');
-    if (typeof openapi.servers !== 'undefined') {
-        should(openapi.servers).be.an.Object();
-        contextAppend(options, 'servers');
-        checkServers(openapi.servers, options);
-        options.context.pop();
-        contextServers.push(openapi.servers);
-    }
-    if (typeof openapi.info.license !== 'undefined') {
-        should(openapi.info.license).be.an.Object();
-        should(openapi.info.license).not.be.an.Array();
-        contextAppend(options, 'license');
-        should(openapi.info.license).have.key('name');
-        should(openapi.info.license.name).have.type('string');
-        if (typeof openapi.info.license.url !== 'undefined') {
-            should.doesNotThrow(function () { validateUrl(openapi.info.license.url, contextServers, 'license.url', options) },'Invalid license.url');
-        }
-        if (options.lint) options.linter('license',openapi.info.license,'license',options);
-        options.context.pop();
-    }
-    if (typeof openapi.info.termsOfService !== 'undefined') {
-        should.doesNotThrow(function () { validateUrl(openapi.info.termsOfService, contextServers, 'termsOfService', options) },'Invalid termsOfService.url');
-    }
-    if (typeof openapi.info.contact !== 'undefined') {
-        contextAppend(options, 'contact');
-        should(openapi.info.contact).be.type('object');
-        should(openapi.info.contact).not.be.an.Array();
-        should(openapi.info.contact).not.be.Null();
-        if (typeof openapi.info.contact.name !== 'undefined') {
-            should(openapi.info.contact.name).be.a.String();
+    collect(options, function () {
+        let rootProperties = ['openapi','info','servers','security','externalDocs','tags','paths','components'];
+        if (isOAS31(openapi)) rootProperties = rootProperties.concat(['webhooks','jsonSchemaDialect']);
+        for (let k in openapi) {
+            if (!k.startsWith('x-')) {
+                should(rootProperties.indexOf(k)).be.greaterThan(-1,'OpenAPI object cannot have additionalProperty: '+k);
+            }
+        }
+    });
+
+    collect(options, function () {
+        if (typeof openapi.jsonSchemaDialect !== 'undefined') {
+            contextAppend(options, 'jsonSchemaDialect');
+            should(openapi.jsonSchemaDialect).be.a.String();
+            should(openapi.jsonSchemaDialect.indexOf(':')).be.greaterThan(0,'jsonSchemaDialect must be an absolute URI');
+            should.doesNotThrow(function () { validateUrl(openapi.jsonSchemaDialect, [], 'jsonSchemaDialect', options) },'Invalid jsonSchemaDialect');
+            if (knownDialects.indexOf(openapi.jsonSchemaDialect) < 0) {
+                options.schemaDialect = false;
+                addWarning('Unknown jsonSchemaDialect '+openapi.jsonSchemaDialect+', schema keywords not checked', options);
+            }
+            options.context.pop();
         }
-        if (typeof openapi.info.contact.url !== 'undefined') {
-            should.doesNotThrow(function () { validateUrl(openapi.info.contact.url, contextServers, 'url', options) },'Invalid contact.url');
+    });
+
+    collect(options, function () {
+        should(openapi).have.key('info');
+        should(openapi.info).be.an.Object();
+        should(openapi.info).not.be.an.Array();
+        contextAppend(options, 'info');
+        should(openapi.info).have.key('title');
+        should(openapi.info.title).be.type('string', 'title should be of type string');
+        should(openapi.info).have.key('version');
+        should(openapi.info.version).be.type('string', 'version should be of type string');
+        if (typeof openapi.info.summary !== 'undefined') {
+            should(isOAS31(openapi)).be.exactly(true, 'info.summary requires OpenAPI 3.1');
+            should(openapi.info.summary).be.type('string', 'summary should be of type string');
         }
-        if (typeof openapi.info.contact.email !== 'undefined') {
-            should(openapi.info.contact.email).be.a.String();
-            should(openapi.info.contact.email.indexOf('@')).be.greaterThan(-1,'Contact email must be a valid email address');
-            should(openapi.info.contact.email.indexOf('.')).be.greaterThan(-1,'Contact email must be a valid email address');
+        if (typeof openapi.servers !== 'undefined') {
+            should(openapi.servers).be.an.Object();
+            contextAppend(options, 'servers');
+            checkServers(openapi.servers, options);
+            options.context.pop();
+            contextServers.push(openapi.servers);
         }
-        if (options.lint) options.linter('contact',openapi.info.contact,'contact',options);
-        for (let k in openapi.info.contact) {
-            if (!k.startsWith('x-')) {
-                should(['name','url','email'].indexOf(k)).be.greaterThan(-1,'info object cannot have additionalProperty: '+k);
+        if (typeof openapi.info.license !== 'undefined') {
+            should(openapi.info.license).be.an.Object();
+            should(openapi.info.license).not.be.an.Array();
+            contextAppend(options, 'license');
+            should(openapi.info.license).have.key('name');
+            should(openapi.info.license.name).have.type('string');
+            if (typeof openapi.info.license.identifier !== 'undefined') {
+                should(isOAS31(openapi)).be.exactly(true, 'license.identifier requires OpenAPI 3.1');
+                should(openapi.info.license.identifier).have.type('string');
+                should(openapi.info.license).not.have.property('url');
+            }
+            if (typeof openapi.info.license.url !== 'undefined') {
+                should.doesNotThrow(function () { validateUrl(openapi.info.license.url, contextServers, 'license.url', options) },'Invalid license.url');
             }
+            if (options.lint) options.linter('license',openapi.info.license,'license',options);
+            options.context.pop();
         }
-        options.context.pop();
-    }
-    if (typeof openapi.info.description !== 'undefined') {
-        should(openapi.info.description).be.a.String();
-    }
-    if (options.lint) options.linter('info',openapi.info,'info',options);
-    options.context.pop();
-
-    if (typeof openapi.externalDocs !== 'undefined') {
-        should(openapi.externalDocs).be.an.Object();
-        contextAppend(options, 'externalDocs');
-        should(openapi.externalDocs).have.key('url');
-        if (typeof openapi.externalDocs.description !== 'undefined') {
-            should(openapi.externalDocs.description).be.a.String();
+        if (typeof openapi.info.termsOfService !== 'undefined') {
+            should.doesNotThrow(function () { validateUrl(openapi.info.termsOfService, contextServers, 'termsOfService', options) },'Invalid termsOfService.url');
         }
-        should.doesNotThrow(function () { validateUrl(openapi.externalDocs.url, contextServers, 'externalDocs', options) },'Invalid externalDocs.url');
-        if (options.lint) options.linter('externalDocs',openapi.externalDocs,'externalDocs',options);
+        if (typeof openapi.info.contact !== 'undefined') {
+            contextAppend(options, 'contact');
+            should(openapi.info.contact).be.type('object');
+            should(openapi.info.contact).not.be.an.Array();
+            should(openapi.info.contact).not.be.Null();
+            if (typeof openapi.info.contact.name !== 'undefined') {
+                should(openapi.info.contact.name).be.a.String();
+            }
+            if (typeof openapi.info.contact.url !== 'undefined') {
+                should.doesNotThrow(function () { validateUrl(openapi.info.contact.url, contextServers, 'url', options) },'Invalid contact.url');
+            }
+            if (typeof openapi.info.contact.email !== 'undefined') {
+                should(openapi.info.contact.email).be.a.String();
+                should(openapi.info.contact.email.indexOf('@')).be.greaterThan(-1,'Contact email must be a valid email address');
+                should(openapi.info.contact.email.indexOf('.')).be.greaterThan(-1,'Contact email must be a valid email address');
+            }
+            if (options.lint) options.linter('contact',openapi.info.contact,'contact',options);
+            for (let k in openapi.info.contact) {
+                if (!k.startsWith('x-')) {
+                    should(['name','url','email'].indexOf(k)).be.greaterThan(-1,'info object cannot have additionalProperty: '+k);
+                }
+            }
+            options.context.pop();
+        }
+        if (typeof openapi.info.description !== 'undefined') {
+            should(openapi.info.description).be.a.String();
+        }
+        if (options.lint) options.linter('info',openapi.info,'info',options);
         options.context.pop();
-    }
+    });
 
-    if (typeof openapi.tags !== 'undefined') {
-        should(openapi.tags).be.an.Array();
-        contextAppend(options, 'tags');
-        let tagsSeen = new Map();
-        for (let tag of openapi.tags) {
-            should(tag).have.property('name');
-            contextAppend(options, tag.name);
-            should(tag.name).be.a.String();
-            should(tagsSeen.has(tag.name)).be.exactly(false,'Tag names must be unique ['+tag.name+']');
-            tagsSeen.set(tag.name,true);
-            if (typeof tag.externalDocs !== 'undefined') {
-                contextAppend(options, 'externalDocs');
-                should(tag.externalDocs).be.an.Object();
-                should(tag.externalDocs).not.be.an.Array();
-                if (typeof tag.externalDocs.description !== 'undefined') {
-                    should(tag.externalDocs.description).be.a.String();
-                }
-                should(tag.externalDocs).have.key('url');
-                should.doesNotThrow(function () { validateUrl(tag.externalDocs.url, contextServers, 'tag.externalDocs', options) },'Invalid externalDocs.url');
-                if (options.lint) options.linter('externalDocs',tag.externalDocs,'externalDocs',options);
-                options.context.pop();
+    collect(options, function () {
+        if (typeof openapi.externalDocs !== 'undefined') {
+            should(openapi.externalDocs).be.an.Object();
+            contextAppend(options, 'externalDocs');
+            should(openapi.externalDocs).have.key('url');
+            if (typeof openapi.externalDocs.description !== 'undefined') {
+                should(openapi.externalDocs.description).be.a.String();
             }
-            if (typeof tag.description !== 'undefined') {
-                should(tag.description).be.a.String();
+            should.doesNotThrow(function () { validateUrl(openapi.externalDocs.url, contextServers, 'externalDocs', options) },'Invalid externalDocs.url');
+            if (options.lint) options.linter('externalDocs',openapi.externalDocs,'externalDocs',options);
+            options.context.pop();
+        }
+    });
+
+    collect(options, function () {
+        if (typeof openapi.tags !== 'undefined') {
+            contextAppend(options, 'tags');
+            should(openapi.tags).be.an.Array();
+            let tagsSeen = new Map();
+            for (let tag of openapi.tags) {
+                collect(options, function () {
+                    should(tag).have.property('name');
+                    contextAppend(options, tag.name);
+                    should(tag.name).be.a.String();
+                    should(tagsSeen.has(tag.name)).be.exactly(false,'Tag names must be unique ['+tag.name+']');
+                    tagsSeen.set(tag.name,true);
+                    if (typeof tag.externalDocs !== 'undefined') {
+                        contextAppend(options, 'externalDocs');
+                        should(tag.externalDocs).be.an.Object();
+                        should(tag.externalDocs).not.be.an.Array();
+                        if (typeof tag.externalDocs.description !== 'undefined') {
+                            should(tag.externalDocs.description).be.a.String();
+                        }
+                        should(tag.externalDocs).have.key('url');
+                        should.doesNotThrow(function () { validateUrl(tag.externalDocs.url, contextServers, 'tag.externalDocs', options) },'Invalid externalDocs.url');
+                        if (options.lint) options.linter('externalDocs',tag.externalDocs,'externalDocs',options);
+                        options.context.pop();
+                    }
+                    if (typeof tag.description !== 'undefined') {
+                        should(tag.description).be.a.String();
+                    }
+                    if (options.lint) options.linter('tag',tag,tag.name,options); // should be index
+                    options.context.pop();
+                });
             }
-            if (options.lint) options.linter('tag',tag,tag.name,options); // should be index
             options.context.pop();
         }
-        options.context.pop();
-    }
+    });
 
-    if (typeof openapi.security !== 'undefined') {
-        checkSecurity(openapi.security,openapi,options);
-    }
+    collect(options, function () {
+        if (typeof openapi.security !== 'undefined') {
+            checkSecurity(openapi.security,openapi,options);
+        }
+    });
 
-    if (typeof openapi.components !== 'undefined') {
-        options.context.push('#/components');
-        should(openapi.components).be.an.Object();
-        should(openapi.components).not.be.an.Array();
-        if (options.lint) options.linter('components',openapi.components,'components',options);
-        options.context.pop();
-    }
+    collect(options, function () {
+        if (typeof openapi.components !== 'undefined') {
+            options.context.push('#/components');
+            should(openapi.components).be.an.Object();
+            should(openapi.components).not.be.an.Array();
+            if (options.lint) options.linter('components',openapi.components,'components',options);
+            options.context.pop();
+        }
+    });
 
-    if (openapi.components && (typeof openapi.components.securitySchemes !== 'undefined')) {
-        options.context.push('#/components/securitySchemes');
-        should(openapi.components.securitySchemes).be.an.Object();
-        should(openapi.components.securitySchemes).not.be.an.Array();
-        for (let s in openapi.components.securitySchemes) {
-            options.context.push('#/components/securitySchemes/' + s);
-            should(validateComponentName(s)).be.equal(true, 'component name invalid');
-            let scheme = openapi.components.securitySchemes[s];
-            should(scheme).have.property('type');
-            should(scheme.type).have.type('string');
-            should(scheme.type).not.be.exactly('basic', 'Security scheme basic should be http with scheme basic');
-            should(scheme.type).equalOneOf('apiKey', 'http', 'oauth2', 'openIdConnect');
-            if (scheme.type === 'http') {
-                should(scheme).have.property('scheme');
-                should(scheme.scheme).have.type('string');
-                if (scheme.scheme != 'bearer') {
-                    should(scheme).not.have.property('bearerFormat');
-                }
-            }
-            else {
-                should(scheme).not.have.property('scheme');
-                should(scheme).not.have.property('bearerFormat');
-            }
-            if (scheme.type === 'apiKey') {
-                should(scheme).have.property('name');
-                should(scheme.name).have.type('string');
-                should(scheme).have.property('in');
-                should(scheme.in).have.type('string');
-                should(scheme.in).equalOneOf('query', 'header', 'cookie');
-            }
-            else {
-                should(scheme).not.have.property('name');
-                should(scheme).not.have.property('in');
-            }
-            if (scheme.type === 'oauth2') {
-                should(scheme).not.have.property('flow');
-                should(scheme).have.property('flows');
-                for (let f in scheme.flows) {
-                    let flow = scheme.flows[f];
-                    should(['implicit','password','authorizationCode','clientCredentials'].indexOf(f)).be.greaterThan(-1,'Unknown flow type: '+f);
-
-                    if ((f === 'implicit') || (f === 'authorizationCode')) {
-                        should(flow).have.property('authorizationUrl');
-                        should.doesNotThrow(function () { validateUrl(flow.authorizationUrl, contextServers, 'authorizationUrl', options) },'Invalid authorizationUrl');
+    collect(options, function () {
+        if (openapi.components && (typeof openapi.components.securitySchemes !== 'undefined')) {
+            options.context.push('#/components/securitySchemes');
+            should(openapi.components.securitySchemes).be.an.Object();
+            should(openapi.components.securitySchemes).not.be.an.Array();
+            for (let s in openapi.components.securitySchemes) {
+                options.context.push('#/components/securitySchemes/' + s);
+                collect(options, function () {
+                    should(validateComponentName(s)).be.equal(true, 'component name invalid');
+                    let scheme = openapi.components.securitySchemes[s];
+                    should(scheme).have.property('type');
+                    should(scheme.type).have.type('string');
+                    should(scheme.type).not.be.exactly('basic', 'Security scheme basic should be http with scheme basic');
+                    if (isOAS31(openapi)) {
+                        should(scheme.type).equalOneOf('apiKey', 'http', 'oauth2', 'openIdConnect', 'mutualTLS');
                     }
                     else {
-                        should(flow).not.have.property('authorizationUrl');
+                        should(scheme.type).equalOneOf('apiKey', 'http', 'oauth2', 'openIdConnect');
                     }
-                    if ((f === 'password') || (f === 'clientCredentials') ||
-                        (f === 'authorizationCode')) {
-                        should(flow).have.property('tokenUrl');
-                        should.doesNotThrow(function () { validateUrl(flow.tokenUrl, contextServers, 'tokenUrl', options) },'Invalid tokenUrl');
+                    if (scheme.type === 'http') {
+                        should(scheme).have.property('scheme');
+                        should(scheme.scheme).have.type('string');
+                        if (scheme.scheme != 'bearer') {
+                            should(scheme).not.have.property('bearerFormat');
+                        }
                     }
                     else {
-                        should(flow).not.have.property('tokenUrl');
+                        should(scheme).not.have.property('scheme');
+                        should(scheme).not.have.property('bearerFormat');
                     }
-                    if (typeof flow.refreshUrl !== 'undefined') {
-                        should.doesNotThrow(function () { validateUrl(flow.refreshUrl, contextServers, 'refreshUrl', options) },'Invalid refreshUrl');
+                    if (scheme.type === 'apiKey') {
+                        should(scheme).have.property('name');
+                        should(scheme.name).have.type('string');
+                        should(scheme).have.property('in');
+                        should(scheme.in).have.type('string');
+                        should(scheme.in).equalOneOf('query', 'header', 'cookie');
                     }
-                    should(flow).have.property('scopes');
-                    should(flow.scopes).be.an.Object();
-                    should(flow.scopes).not.be.an.Array();
-                }
-            }
-            else {
-                should(scheme).not.have.property('flows');
-            }
-            if (scheme.type === 'openIdConnect') {
-                should(scheme).have.property('openIdConnectUrl');
-                should.doesNotThrow(function () { validateUrl(scheme.openIdConnectUrl, contextServers, 'openIdConnectUrl', options) },'Invalid openIdConnectUrl');
-            }
-            else {
-                should(scheme).not.have.property('openIdConnectUrl');
+                    else {
+                        should(scheme).not.have.property('name');
+                        should(scheme).not.have.property('in');
+                    }
+                    if (scheme.type === 'oauth2') {
+                        should(scheme).not.have.property('flow');
+                        should(scheme).have.property('flows');
+                        for (let f in scheme.flows) {
+                            contextAppend(options, 'flows/' + f);
+                            collect(options, function () {
+                                let flow = scheme.flows[f];
+                                should(['implicit','password','authorizationCode','clientCredentials'].indexOf(f)).be.greaterThan(-1,'Unknown flow type: '+f);
+
+                                if ((f === 'implicit') || (f === 'authorizationCode')) {
+                                    should(flow).have.property('authorizationUrl');
+                                    should.doesNotThrow(function () { validateUrl(flow.authorizationUrl, contextServers, 'authorizationUrl', options) },'Invalid authorizationUrl');
+                                }
+                                else {
+                                    should(flow).not.have.property('authorizationUrl');
+                                }
+                                if ((f === 'password') || (f === 'clientCredentials') ||
+                                    (f === 'authorizationCode')) {
+                                    should(flow).have.property('tokenUrl');
+                                    should.doesNotThrow(function () { validateUrl(flow.tokenUrl, contextServers, 'tokenUrl', options) },'Invalid tokenUrl');
+                                }
+                                else {
+                                    should(flow).not.have.property('tokenUrl');
+                                }
+                                if (typeof flow.refreshUrl !== 'undefined') {
+                                    should.doesNotThrow(function () { validateUrl(flow.refreshUrl, contextServers, 'refreshUrl', options) },'Invalid refreshUrl');
+                                }
+                                should(flow).have.property('scopes');
+                                should(flow.scopes).be.an.Object();
+                                should(flow.scopes).not.be.an.Array();
+                            });
+                            options.context.pop();
+                        }
+                    }
+                    else {
+                        should(scheme).not.have.property('flows');
+                    }
+                    if (scheme.type === 'openIdConnect') {
+                        should(scheme).have.property('openIdConnectUrl');
+                        should.doesNotThrow(function () { validateUrl(scheme.openIdConnectUrl, contextServers, 'openIdConnectUrl', options) },'Invalid openIdConnectUrl');
+                    }
+                    else {
+                        should(scheme).not.have.property('openIdConnectUrl');
+                    }
+                });
+                options.context.pop();
             }
             options.context.pop();
         }
-        options.context.pop();
-    }
+    });
 
     recurse(openapi, {identityDetection:true}, function (obj, key, state) {
         if (isRef(obj,key)) {
             options.context.push(state.path);
-            should(obj[key]).not.startWith('#/definitions/');
-            let refUrl = url.parse(obj[key]);
-            if (!refUrl.protocol && !refUrl.path) {
-                should(obj[key]+'/%24ref').not.be.equal(state.path,'Circular reference');
-                should(jptr.jptr(openapi,obj[key])).not.be.exactly(false, 'Cannot resolve reference: ' + obj[key]);
-            }
+            collect(options, function () {
+                should(obj[key]).not.startWith('#/definitions/');
+                let refUrl = url.parse(obj[key]);
+                if (!refUrl.protocol && !refUrl.path) {
+                    should(obj[key]+'/%24ref').not.be.equal(state.path,'Circular reference');
+                    should(jptr.jptr(openapi,obj[key])).not.be.exactly(false, 'Cannot resolve reference: ' + obj[key]);
+                }
+            });
             options.context.pop();
         }
     });
@@ -1147,192 +1681,273 @@ function validateSync(openapi, options, callback) {
 
     for (let p in openapi.paths) {
         options.context.push('#/paths/' + jptr.jpescape(p));
-        if (!p.startsWith('x-')) {
-            should(p).startWith('/');
-            should(p).not.containEql('?');
-            //should(p).not.containEql('#');
-            let pCount = 0;
-            let template = p.replace(/\{(.+?)\}/g, function (match, group1) {
-                return '{'+(pCount++)+'}';
-            });
-            if (paths[template] && !openapi["x-hasEquivalentPaths"]) {
-                should.fail(false,true,'Identical path templates detected');
-            }
-            paths[template] = {};
-            let templateCheck = p.replace(/\{(.+?)\}/g, function (match, group1) {
-                return '';
-            });
-            if ((templateCheck.indexOf('{')>=0) || (templateCheck.indexOf('}')>=0)) {
-                should.fail(false,true,'Mismatched {} in path template');
-            }
+        collect(options, function () {
+            if (!p.startsWith('x-')) {
+                should(p).startWith('/');
+                should(p).not.containEql('?');
+                //should(p).not.containEql('#');
+                let pCount = 0;
+                let template = p.replace(/\{(.+?)\}/g, function (match, group1) {
+                    return '{'+(pCount++)+'}';
+                });
+                if (paths[template] && !openapi["x-hasEquivalentPaths"]) {
+                    should.fail(false,true,'Identical path templates detected');
+                }
+                paths[template] = {};
+                let templateCheck = p.replace(/\{(.+?)\}/g, function (match, group1) {
+                    return '';
+                });
+                if ((templateCheck.indexOf('{')>=0) || (templateCheck.indexOf('}')>=0)) {
+                    should.fail(false,true,'Mismatched {} in path template');
+                }
 
-            checkPathItem(openapi.paths[p], p, openapi, options);
-        }
+                checkPathItem(openapi.paths[p], p, openapi, options);
+            }
+        });
         options.context.pop();
     }
     if (openapi["x-ms-paths"]) {
         for (let p in openapi["x-ms-paths"]) {
             options.context.push('#/x-ms-paths/' + jptr.jpescape(p));
-            should(p).startWith('/');
-            should(p).not.containEql('?');
-            //should(p).not.containEql('#');
-            checkPathItem(openapi["x-ms-paths"][p], p, openapi, options);
+            collect(options, function () {
+                should(p).startWith('/');
+                should(p).not.containEql('?');
+                //should(p).not.containEql('#');
+                checkPathItem(openapi["x-ms-paths"][p], p, openapi, options);
+            });
             options.context.pop();
         }
     }
-
-    if (openapi.components && (typeof openapi.components.parameters !== 'undefined')) {
-        options.context.push('#/components/parameters/');
-        should(openapi.components.parameters).be.an.Object();
-        should(openapi.components.parameters).not.be.an.Array();
-        for (let p in openapi.components.parameters) {
-            checkParam(openapi.components.parameters[p], p, '', contextServers, openapi, options);
-            contextAppend(options, p);
-            should(validateComponentName(p)).be.equal(true, 'component name invalid');
+    if (typeof openapi.webhooks !== 'undefined') {
+        options.context.push('#/webhooks');
+        should(openapi.webhooks).be.an.Object();
+        should(openapi.webhooks).not.be.an.Array();
+        for (let w in openapi.webhooks) {
+            options.context.push('#/webhooks/' + jptr.jpescape(w));
+            collect(options, function () {
+                checkPathItem(openapi.webhooks[w], w, openapi, options);
+            });
             options.context.pop();
         }
         options.context.pop();
     }
 
-    if (openapi.components && (typeof openapi.components.schemas !== 'undefined')) {
-        options.context.push('#/components/schemas');
-        should(openapi.components.schemas).be.an.Object();
-        should(openapi.components.schemas).not.be.an.Array();
-        for (let s in openapi.components.schemas) {
-            options.context.push('#/components/schemas/' + s);
-            should(validateComponentName(s)).be.equal(true, 'component name invalid');
-            checkSchema(openapi.components.schemas[s], dummySchema, '', openapi, options);
+    collect(options, function () {
+        if (openapi.components && (typeof openapi.components.parameters !== 'undefined')) {
+            options.context.push('#/components/parameters/');
+            should(openapi.components.parameters).be.an.Object();
+            should(openapi.components.parameters).not.be.an.Array();
+            for (let p in openapi.components.parameters) {
+                collect(options, function () {
+                    checkParam(openapi.components.parameters[p], p, '', contextServers, openapi, options);
+                    contextAppend(options, p);
+                    should(validateComponentName(p)).be.equal(true, 'component name invalid');
+                    options.context.pop();
+                });
+            }
             options.context.pop();
         }
-        options.context.pop();
-    }
+    });
 
-    if (openapi.components && (typeof openapi.components.responses !== 'undefined')) {
-        options.context.push('#/components/responses');
-        should(openapi.components.responses).be.an.Object();
-        should(openapi.components.responses).not.be.an.Array();
-        for (let r in openapi.components.responses) {
-            options.context.push('#/components/responses/' + r);
-            should(validateComponentName(r)).be.equal(true, 'component name invalid');
-            checkResponse(openapi.components.responses[r], contextServers, openapi, options);
+    collect(options, function () {
+        if (openapi.components && (typeof openapi.components.schemas !== 'undefined')) {
+            options.context.push('#/components/schemas');
+            should(openapi.components.schemas).be.an.Object();
+            should(openapi.components.schemas).not.be.an.Array();
+            for (let s in openapi.components.schemas) {
+                options.context.push('#/components/schemas/' + s);
+                collect(options, function () {
+                    should(validateComponentName(s)).be.equal(true, 'component name invalid');
+                    checkSchema(openapi.components.schemas[s], dummySchema, '', openapi, options);
+                });
+                options.context.pop();
+            }
             options.context.pop();
         }
-        options.context.pop();
-    }
+    });
 
-    if (openapi.components && (typeof openapi.components.headers !== 'undefined')) {
-        options.context.push('#/components/headers');
-        should(openapi.components.headers).be.an.Object();
-        should(openapi.components.headers).not.be.an.Array();
-        for (let h in openapi.components.headers) {
-            options.context.push('#/components/headers/' + h);
-            should(validateComponentName(h)).be.equal(true, 'component name invalid');
-            checkHeader(openapi.components.headers[h], contextServers, openapi, options);
+    collect(options, function () {
+        if (openapi.components && (typeof openapi.components.responses !== 'undefined')) {
+            options.context.push('#/components/responses');
+            should(openapi.components.responses).be.an.Object();
+            should(openapi.components.responses).not.be.an.Array();
+            for (let r in openapi.components.responses) {
+                options.context.push('#/components/responses/' + r);
+                collect(options, function () {
+                    should(validateComponentName(r)).be.equal(true, 'component name invalid');
+                    checkResponse(openapi.components.responses[r], contextServers, openapi, options);
+                });
+                options.context.pop();
+            }
             options.context.pop();
         }
-        options.context.pop();
-    }
+    });
 
-    if (openapi.components && (typeof openapi.components.requestBodies !== 'undefined')) {
-        options.context.push('#/components/requestBodies');
-        should(openapi.components.requestBodies).be.an.Object();
-        should(openapi.components.requestBodies).not.be.an.Array();
-        for (let r in openapi.components.requestBodies) {
-            options.context.push('#/components/requestBodies/' + r);
-            should(validateComponentName(r)).be.equal(true, 'component name invalid');
-            if (r.startsWith('requestBody')) {
-                options.warnings.push('Anonymous requestBody: ' + r);
+    collect(options, function () {
+        if (openapi.components && (typeof openapi.components.headers !== 'undefined')) {
+            options.context.push('#/components/headers');
+            should(openapi.components.headers).be.an.Object();
+            should(openapi.components.headers).not.be.an.Array();
+            for (let h in openapi.components.headers) {
+                options.context.push('#/components/headers/' + h);
+                collect(options, function () {
+                    should(validateComponentName(h)).be.equal(true, 'component name invalid');
+                    checkHeader(openapi.components.headers[h], contextServers, openapi, options);
+                });
+                options.context.pop();
             }
-            let rb = openapi.components.requestBodies[r];
-            should(rb).have.property('content');
-            if (typeof rb.description !== 'undefined') should(rb.description).have.type('string');
-            if (typeof rb.required !== 'undefined') should(rb.required).have.type('boolean');
-            checkContent(rb.content, openapi.servers, openapi, options);
             options.context.pop();
         }
-        options.context.pop();
-    }
+    });
 
-    if (openapi.components && (typeof openapi.components.examples !== 'undefined')) {
-        options.context.push('#/components/examples');
-        should(openapi.components.examples).be.an.Object();
-        should(openapi.components.examples).not.be.an.Array();
-        for (let e in openapi.components.examples) {
-            options.context.push('#/components/examples/' + e);
-            should(validateComponentName(e)).be.equal(true, 'component name invalid');
-            let ex = openapi.components.examples[e];
-            if (typeof ex.$ref === 'undefined') {
-                checkExample(ex, openapi.servers, openapi, options);
-            }
-            else {
-                if (options.lint) options.linter('reference',ex,'$ref',options);
+    collect(options, function () {
+        if (openapi.components && (typeof openapi.components.requestBodies !== 'undefined')) {
+            options.context.push('#/components/requestBodies');
+            should(openapi.components.requestBodies).be.an.Object();
+            should(openapi.components.requestBodies).not.be.an.Array();
+            for (let r in openapi.components.requestBodies) {
+                options.context.push('#/components/requestBodies/' + r);
+                collect(options, function () {
+                    should(validateComponentName(r)).be.equal(true, 'component name invalid');
+                    if (r.startsWith('requestBody')) {
+                        addWarning('Anonymous requestBody: ' + r, options);
+                    }
+                    let rb = openapi.components.requestBodies[r];
+                    should(rb).have.property('content');
+                    if (typeof rb.description !== 'undefined') should(rb.description).have.type('string');
+                    if (typeof rb.required !== 'undefined') should(rb.required).have.type('boolean');
+                    checkContent(rb.content, openapi.servers, openapi, options);
+                });
+                options.context.pop();
             }
+            options.context.pop();
         }
-        options.context.pop();
-    }
+    });
 
-    if (openapi.components && (typeof openapi.components.callbacks !== 'undefined')) {
-        options.context.push('#/components/callbacks');
-        should(openapi.components.callbacks).be.an.Object();
-        should(openapi.components.callbacks).not.be.an.Array();
-        for (let c in openapi.components.callbacks) {
-            options.context.push('#/components/callbacks/' + c);
-            should(validateComponentName(c)).be.equal(true, 'component name invalid');
-            let cb = openapi.components.callbacks[c];
-            if (typeof cb.$ref === 'undefined') {
-                for (let exp in cb) {
-                    let cbPi = cb[exp];
-                    options.isCallback = true;
-                    checkPathItem(cbPi, exp, openapi, options);
-                    options.isCallback = false;
-                }
-                if (options.lint) options.linter('reference',cb,'$ref',options);
+    collect(options, function () {
+        if (openapi.components && (typeof openapi.components.examples !== 'undefined')) {
+            options.context.push('#/components/examples');
+            should(openapi.components.examples).be.an.Object();
+            should(openapi.components.examples).not.be.an.Array();
+            for (let e in openapi.components.examples) {
+                options.context.push('#/components/examples/' + e);
+                collect(options, function () {
+                    should(validateComponentName(e)).be.equal(true, 'component name invalid');
+                    let ex = openapi.components.examples[e];
+                    if (typeof ex.$ref === 'undefined') {
+                        checkExample(ex, openapi.servers, openapi, options);
+                    }
+                    else {
+                        if (options.lint) options.linter('reference',ex,'$ref',options);
+                    }
+                });
+                options.context.pop();
             }
-            else {
+            options.context.pop();
+        }
+    });
+
+    collect(options, function () {
+        if (openapi.components && (typeof openapi.components.callbacks !== 'undefined')) {
+            options.context.push('#/components/callbacks');
+            should(openapi.components.callbacks).be.an.Object();
+            should(openapi.components.callbacks).not.be.an.Array();
+            for (let c in openapi.components.callbacks) {
+                options.context.push('#/components/callbacks/' + c);
+                collect(options, function () {
+                    should(validateComponentName(c)).be.equal(true, 'component name invalid');
+                    let cb = openapi.components.callbacks[c];
+                    if (typeof cb.$ref === 'undefined') {
+                        for (let exp in cb) {
+                            let cbPi = cb[exp];
+                            options.isCallback = true;
+                            checkPathItem(cbPi, exp, openapi, options);
+                            options.isCallback = false;
+                        }
+                        if (options.lint) options.linter('reference',cb,'$ref',options);
+                    }
+                    else {
+                    }
+                });
+                options.context.pop();
             }
             options.context.pop();
         }
-        options.context.pop();
-    }
+    });
 
-    if (openapi.components && (typeof openapi.components.links !== 'undefined')) {
-        options.context.push('#/components/links');
-        should(openapi.components.links).be.type('object');
-        should(openapi.components.links).not.be.an.Array();
-        for (let l in openapi.components.links) {
-            options.context.push('#/components/links/' + l);
-            should(validateComponentName(l)).be.equal(true, 'component name invalid');
-            let link = openapi.components.links[l];
-            if (typeof link.$ref === 'undefined') {
-                checkLink(link, openapi, options);
+    collect(options, function () {
+        if (openapi.components && (typeof openapi.components.pathItems !== 'undefined')) {
+            options.context.push('#/components/pathItems');
+            should(isOAS31(openapi)).be.exactly(true, 'components.pathItems requires OpenAPI 3.1');
+            should(openapi.components.pathItems).be.an.Object();
+            should(openapi.components.pathItems).not.be.an.Array();
+            for (let p in openapi.components.pathItems) {
+                options.context.push('#/components/pathItems/' + p);
+                collect(options, function () {
+                    should(validateComponentName(p)).be.equal(true, 'component name invalid');
+                    checkPathItem(openapi.components.pathItems[p], '', openapi, options);
+                });
+                options.context.pop();
             }
-            else {
-                if (options.lint) options.linter('reference',link,'$ref',options);
+            options.context.pop();
+        }
+    });
+
+    collect(options, function () {
+        if (openapi.components && (typeof openapi.components.links !== 'undefined')) {
+            options.context.push('#/components/links');
+            should(openapi.components.links).be.type('object');
+            should(openapi.components.links).not.be.an.Array();
+            for (let l in openapi.components.links) {
+                options.context.push('#/components/links/' + l);
+                collect(options, function () {
+                    should(validateComponentName(l)).be.equal(true, 'component name invalid');
+                    let link = openapi.components.links[l];
+                    if (typeof link.$ref === 'undefined') {
+                        checkLink(link, openapi, options);
+                    }
+                    else {
+                        if (options.lint) options.linter('reference',link,'$ref',options);
+                    }
+                });
+                options.context.pop();
             }
             options.context.pop();
         }
-        options.context.pop();
-    }
+    });
 
     if (!options.validateSchema || (options.validateSchema === 'last')) {
         schemaValidate(openapi, options);
     }
 
-    options.valid = !options.expectFailure;
-    if (options.lint) options.linter('openapi',openapi,'',options);
+    collect(options, function () {
+        if (options.lint) options.linter('openapi',openapi,'',options);
+    });
+    options.valid = !options.errors.some(function(e){ return e.severity === 'error'; });
+    if (options.expectFailure) options.valid = !options.valid;
     if (callback) callback(null, options);
     return options.valid;
 }
 
 function schemaValidate(openapi, options) {
-    validateOpenAPI3(openapi);
-    let errors = validateOpenAPI3.errors;
-    if (errors && errors.length) {
+    let validateOpenAPI = ((isOAS31(openapi) && !options.jsonschema) ? validateOpenAPI31 : validateOpenAPI3);
+    validateOpenAPI(openapi);
+    let errors = validateOpenAPI.errors;
+    if (errors && errors.length && options.allErrors) {
+        let seen = new Set();
+        for (let error of errors) {
+            let pointer = '#' + error.dataPath;
+            if (seen.has(pointer + error.message)) continue; // oneOf branches repeat themselves
+            seen.add(pointer + error.message);
+            addError(pointer, error.message, null, options);
+        }
+    }
+    else if (errors && errors.length) {
         if (options.prettify) {
             const errorStr = bae(options.schema, openapi, errors, { indent: 2 });
             throw (new CLIError(errorStr));
         }
-        throw (new JSONSchemaError('Failed OpenAPI3 schema validation: ' + JSON.stringify(errors, null, 2)));
+        throw (new JSONSchemaError('Failed OpenAPI'+(isOAS31(openapi) ? '3.1' : '3')+' schema validation: ' + JSON.stringify(errors, null, 2)));
     }
 }
 
@@ -1340,10 +1955,18 @@ function setupOptions(options,openapi) {
     options.valid = false;
     options.context = [ '#/' ];
     options.warnings = [];
+    options.errors = [];
     options.operationIds = [];
     options.allScopes = {};
+    options.schemaDialect = true;
     options.openapi = openapi;
     if (options.lint && !options.linter) options.linter = linter.lint;
+    if (options.lint && !options.lintRules) {
+        let config = options.lintConfig || ((typeof options.source === 'string') && !options.source.startsWith('http') &&
+            linter.findConfig(path.dirname(options.source)));
+        // a config found beside the definition may not run code unless allowed
+        if (config) options.lintRules = linter.loadConfig(config, !!(options.lintConfig || options.lintFunctions));
+    }
     if (!options.cache) options.cache = {};
 }
 
@@ -6,7 +6,6 @@ const url = require('url');
 const pathlib = require('path');
 
 const maybe = require('call-me-maybe');
-const fetch = require('node-fetch');
 const yaml = require('js-yaml');
 
 const jptr = require('reftools/lib/jptr.js');
@@ -20,14 +19,19 @@ const sw = require('oas-schema-walker');
 const common = require('oas-kit-common');
 
 const statusCodes = require('./lib/statusCodes.js').statusCodes;
+const translators = require('./lib/translators.js');
+const swagger12 = require('./lib/swagger12.js');
 
 const ourVersion = require('./package.json').version;
 
-// TODO handle specification-extensions with plugins?
-
 const targetVersion = '3.0.0';
 let componentNames; // initialised in main
 
+const sources = new WeakMap(); // options -> { pointers, originals } locating objects in the input
+const reportTargets = new WeakMap(); // report entry -> { container, key } to locate in the output
+const requestBodySources = new WeakMap(); // operation -> the input parameters making up its requestBody
+const locations = new WeakMap(); // options -> Map of object -> source location
+
 function throwError(message, options) {
     let err = new Error(message);
     err.options = options;
@@ -39,12 +43,182 @@ function throwError(message, options) {
     }
 }
 
+/**
+* records the source locations of the objects within root which have not yet
+* been located, looking up their current pointers in options.sourceMap. Called
+* as conversion starts and again once external references are resolved, so
+* that locating an object later does not need to search the document
+*/
+function trackLocations(root, options) {
+    if (!options.sourceMap) return;
+    let located = locations.get(options) || new Map();
+    for (let entry of indexObjects(root)) {
+        if (!located.has(entry[0])) {
+            let location = common.getLocation(options.sourceMap, entry[1]);
+            if (location) located.set(entry[0], location);
+        }
+    }
+    locations.set(options, located);
+}
+
+/**
+* finds the source location of an object within the document being converted
+* @return the location as formatted by oas-kit-common, or an empty string
+*/
+function locate(container, options) {
+    let located = locations.get(options);
+    let location = (located && located.get(container));
+    return (location ? common.formatLocation(location) : '');
+}
+
+/**
+* re-keys the entries of options.sourceMap beneath one pointer to another, as
+* objects are moved during conversion
+*/
+function moveSourceMap(from, to, options) {
+    if (!options.sourceMap) return;
+    for (let key of Object.keys(options.sourceMap)) {
+        if ((key === from) || key.startsWith(from + '/')) {
+            options.sourceMap[to + key.substring(from.length)] = options.sourceMap[key];
+            delete options.sourceMap[key];
+        }
+    }
+}
+
+function buildSourceMap(str, options) {
+    if (options.sourceMap === false) return;
+    try {
+        options.sourceMap = common.getSourceMap(str, options.sourceFile || options.source || '');
+    }
+    catch (ex) {
+        delete options.sourceMap;
+    }
+}
+
+/**
+* maps each object within a definition to its JSON Pointer
+* @return a Map of objects to pointers
+*/
+function indexObjects(obj) {
+    let index = new Map([[obj, '#']]);
+    recurse(obj, {identityDetection:true}, function(parent, key, state){
+        let value = parent[key];
+        if (value && (typeof value === 'object') && !index.has(value)) {
+            index.set(value, decodeURIComponent(state.path));
+        }
+    });
+    return index;
+}
+
+function pointerTo(index, container, key) {
+    let pointer = index.get(container);
+    if (typeof pointer !== 'string') return false;
+    return (key ? pointer + '/' + jptr.jpescape(key) : pointer);
+}
+
+/**
+* records where the objects being converted came from, if options.report or
+* options.hooks need to know
+* @param input the copy of the input definition which will be converted
+* @param swagger the input definition itself, which is not modified
+* @param root the object input was merged into, if any
+*/
+function trackSources(input, swagger, root, options) {
+    if (!options.report && !options.hooks) return;
+    let pointers = indexObjects(input);
+    if (root) pointers.set(root, '#');
+    let originals = new Map();
+    if (options.hooks) {
+        for (let entry of indexObjects(swagger)) {
+            originals.set(entry[1], entry[0]);
+        }
+    }
+    sources.set(options, { pointers: pointers, originals: originals });
+}
+
+/**
+* records that an object was copied from another during conversion, so that
+* the copy has the same source
+*/
+function trackCopy(copy, original, options) {
+    let tracked = sources.get(options);
+    let pointer = (tracked && pointerTo(tracked.pointers, original, ''));
+    if (!pointer) return;
+    for (let entry of indexObjects(copy)) {
+        if (!tracked.pointers.has(entry[0])) tracked.pointers.set(entry[0], pointer + entry[1].substring(1));
+    }
+}
+
+/**
+* @return the JSON Pointer in the input definition of an object being
+* converted, or false if it was created during conversion
+*/
+function sourcePointer(obj, options) {
+    let tracked = sources.get(options);
+    return (tracked ? pointerTo(tracked.pointers, obj, '') : false);
+}
+
+/**
+* @return the object in the input definition an object being converted came
+* from, or false
+*/
+function sourceOf(obj, options) {
+    let pointer = sourcePointer(obj, options);
+    return (pointer && sources.get(options).originals.get(pointer)) || false;
+}
+
+/**
+* calls one of the lifecycle hooks in options.hooks, if set, with the given
+* arguments followed by the options
+*/
+function callHook(name, args, options) {
+    if (options.hooks && (typeof options.hooks[name] === 'function')) {
+        options.hooks[name].apply(null, args.concat([options]));
+    }
+}
+
+/**
+* records a change made during conversion in options.report, if it is an array
+* @param category one of patched, renamed, dropped or warned
+* @param message a description of the change
+* @param container the object holding the property changed
+* @param key the property changed, or an empty string for the container itself
+* @param newKey the name of the property after the change, or false if it was dropped
+*/
+function report(category, message, container, key, newKey, options) {
+    if (!Array.isArray(options.report)) return;
+    let tracked = sources.get(options);
+    let entry = { source: (tracked ? pointerTo(tracked.pointers, container, key) : false), target: false,
+        category: category, message: message };
+    if (newKey !== false) reportTargets.set(entry, { container: container, key: newKey });
+    options.report.push(entry);
+}
+
+/**
+* fills in the target pointers of options.report once the converted
+* definition is complete. Objects which were copied or removed during
+* conversion have no target
+*/
+function finishReport(options) {
+    if (!Array.isArray(options.report)) return;
+    let targets = indexObjects(options.openapi);
+    for (let entry of options.report) {
+        let pending = reportTargets.get(entry);
+        if (pending) {
+            entry.target = pointerTo(targets, pending.container, pending.key);
+            reportTargets.delete(entry);
+        }
+    }
+}
+
 function throwOrWarn(message, container, options) {
     if (options.warnOnly) {
         container[options.warnProperty||'x-s2o-warning'] = message;
+        report('warned', message, container, '', '', options);
     }
     else {
-        throwError(message, options);
+        let location = locate(container, options);
+        throwError(message + (location ? ' (' + location + ')' : ''), options);
     }
 }
 
@@ -66,8 +240,10 @@ function fixUpSubSchema(schema,parent,options) {
         if (options.patch) {
             if (schema.type.length === 0) {
                 delete schema.type;
+                report('dropped', 'Removed empty schema type array', schema, 'type', false, options);
             }
             else {
+                report('patched', 'Replaced schema type array [' + schema.type.join(',') + '] with oneOf/nullable', schema, 'type', 'type', options);
                 if (!schema.oneOf) schema.oneOf = [];
                 for (let type of schema.type) {
                     let newSchema = {};
@@ -135,47 +311,66 @@ function fixUpSubSchema(schema,parent,options) {
     }
 }
 
-function fixUpSubSchemaExtensions(schema,parent) {
-    if (schema["x-required"] && Array.isArray(schema["x-required"])) {
-        if (!schema.required) schema.required = [];
-        schema.required = schema.required.concat(schema["x-required"]);
-        delete schema["x-required"];
-    }
-    if (schema["x-anyOf"]) {
-        schema.anyOf = schema["x-anyOf"];
-        delete schema["x-anyOf"];
-    }
-    if (schema["x-oneOf"]) {
-        schema.oneOf = schema["x-oneOf"];
-        delete schema["x-oneOf"];
-    }
-    if (schema["x-not"]) {
-        schema.not = schema["x-not"];
-        delete schema["x-not"];
-    }
-    if (typeof schema["x-nullable"] === 'boolean') {
-        schema.nullable = schema["x-nullable"];
-        delete schema["x-nullable"];
-    }
-    if ((typeof schema["x-discriminator"] === 'object') && (typeof schema["x-discriminator"].propertyName === 'string')) {
-        schema.discriminator = schema["x-discriminator"];
-        delete schema["x-discriminator"];
-        for (let entry in schema.discriminator.mapping) {
-            let schemaOrRef = schema.discriminator.mapping[entry];
-            if (schemaOrRef.startsWith('#/definitions/')) {
-                schema.discriminator.mapping[entry] = schemaOrRef.replace('#/definitions/','#/components/schemas/');
-            }
-        }
-    }
-}
-
 function fixUpSchema(schema,options) {
     sw.walkSchema(schema,{},{},function(schema,parent,state){
-        fixUpSubSchemaExtensions(schema,parent);
+        translators.translate('schema', schema, parent, options);
         fixUpSubSchema(schema,parent,options);
+        if (options.hooks && (typeof schema.$ref === 'undefined')) { // the walker passes copies of $refs
+            callHook('onSchema', [schema, sourcePointer(schema, options), sourceOf(schema, options)], options);
+        }
     });
 }
 
+/**
+* @return a short, stable hash of some JSON content
+*/
+function contentHash(content) {
+    return (common.hash(JSON.stringify(content) || '') >>> 0).toString(16);
+}
+
+/**
+* chooses the name of a component created during conversion, using the
+* template or callback in options.componentNaming for the type of component, if any
+* @param type the type of component, e.g. requestBodies
+* @param context the properties available to the template or callback, where
+* name is the default name
+* @return the sanitised name
+*/
+function componentName(type, context, options) {
+    let naming = options.componentNaming && options.componentNaming[type];
+    let name = '';
+    if (typeof naming === 'function') {
+        name = naming(context, options);
+    }
+    else if (typeof naming === 'string') {
+        name = naming.replace(/\{([A-Za-z]+)\}/g, function (match, property) {
+            return (typeof context[property] === 'undefined' ? '' : String(context[property]));
+        });
+    }
+    return common.sanitiseAll(String(name || context.name));
+}
+
+/**
+* finds a component name which is not yet taken, by appending 2, 3 and so on,
+* or in options.deterministic mode the hash of the content being named, so
+* names do not depend on the order they were created in
+* @param name the name wanted
+* @param numbered true to append a number even if name is not taken
+* @param hash the contentHash of the component
+* @param exists function returning true if a name is taken
+*/
+function uniqueName(name, numbered, hash, exists, options) {
+    let counter = (numbered ? 1 : '');
+    if (options.deterministic && (numbered || exists(name))) {
+        name = name + '_' + hash;
+        counter = '';
+    }
+    while (exists(name + counter)) {
+        counter = (counter === '' ? 2 : counter + 1);
+    }
+    return name + counter;
+}
+
 function getMiroComponentName(ref) {
     if (ref.indexOf('#')>=0) {
         ref = ref.split('#')[1].split('/').pop();
@@ -246,17 +441,22 @@ function fixupRefs(obj, key, state) {
                         prefix = encodeURIComponent(target.name);
                     }
 
-                    let suffix = 1;
+                    let numbered = true;
                     if (obj['x-miro']) {
                         prefix = getMiroComponentName(obj['x-miro']);
-                        suffix = '';
+                        numbered = false;
                     }
 
-                    while (jptr.jptr(options.openapi,'#/components/'+type+'/'+prefix+suffix)) {
-                        suffix = (suffix === '' ? 2 : ++suffix);
+                    let hash = contentHash(target);
+                    if (options.componentNaming && options.componentNaming[type]) {
+                        prefix = encodeURIComponent(componentName(type, { name: prefix, ref: obj[key],
+                            miro: obj['x-miro'] || '', hash: hash }, options));
+                        numbered = false;
                     }
 
-                    let newRef = '#/components/'+type+'/'+prefix+suffix;
+                    let newRef = '#/components/'+type+'/'+uniqueName(prefix, numbered, hash, function (name) {
+                        return !!jptr.jptr(options.openapi,'#/components/'+type+'/'+name);
+                    }, options);
                     let refSuffix = '';
 
                     if (type === 'examples') {
@@ -329,6 +529,7 @@ function processSecurityScheme(scheme, options) {
         if (typeof scheme.name !== 'undefined') {
             if (options.patch) {
                 delete scheme.name;
+                report('dropped', 'Removed name property from oauth2 securityScheme', scheme, 'name', false, options);
             }
             else {
                 throwError('(Patchable) oauth2 securitySchemes should not have name property', options);
@@ -362,6 +563,7 @@ function processHeader(header, options) {
             if (header.type != 'array') {
                 if (options.patch) {
                     delete header.collectionFormat;
+                    report('dropped', 'Removed collectionFormat from non-array header', header, 'collectionFormat', false, options);
                 }
                 else {
                     throwError('(Patchable) collectionFormat is only applicable to header.type array', options);
@@ -450,19 +652,12 @@ function processParameter(param, op, path, index, openapi, options) {
 
     if (param.name || param.in) { // if it's a real parameter OR we've dereferenced it
 
-        if (typeof param['x-deprecated'] === 'boolean') {
-            param.deprecated = param['x-deprecated'];
-            delete param['x-deprecated'];
-        }
-
-        if (typeof param['x-example'] !== 'undefined') {
-            param.example = param['x-example'];
-            delete param['x-example'];
-        }
+        translators.translate('parameter', param, op, options);
 
         if ((param.in != 'body') && (!param.type)) {
             if (options.patch) {
                 param.type = 'string';
+                report('patched', 'Defaulted missing type of parameter ' + param.name + ' to string', param, 'type', 'schema', options);
             }
             else {
                 throwError('(Patchable) parameter.type is mandatory for non-body parameters', options);
@@ -483,6 +678,7 @@ function processParameter(param, op, path, index, openapi, options) {
             if (param.type != 'array') {
                 if (options.patch) {
                     delete param.collectionFormat;
+                    report('dropped', 'Removed collectionFormat from non-array parameter ' + param.name, param, 'collectionFormat', false, options);
                 }
                 else {
                     throwError('(Patchable) collectionFormat is only applicable to param.type array', options);
@@ -552,13 +748,6 @@ function processParameter(param, op, path, index, openapi, options) {
         if (param.schema) {
             fixUpSchema(param.schema,options);
         }
-
-        if (param["x-ms-skip-url-encoding"]) {
-            if (param.in === 'query') { // might be in:path, not allowed in OAS3
-                param.allowReserved = true;
-                delete param["x-ms-skip-url-encoding"];
-            }
-        }
     }
 
     if (param.in === 'formData') {
@@ -637,6 +826,7 @@ function processParameter(param, op, path, index, openapi, options) {
         for (let mimetype of consumes) {
             result.content[mimetype] = {};
             result.content[mimetype].schema = clone(param.schema) || {};
+            trackCopy(result.content[mimetype].schema, param.schema, options);
             fixUpSchema(result.content[mimetype].schema,options);
         }
     }
@@ -645,6 +835,9 @@ function processParameter(param, op, path, index, openapi, options) {
         param["x-s2o-delete"] = true;
         // work out where to attach the requestBody
         if (op) {
+            if (options.hooks) {
+                requestBodySources.set(op, (requestBodySources.get(op) || []).concat([sourceOf(param, options)]));
+            }
             if (op.requestBody && singularRequestBody) {
                 op.requestBody["x-s2o-overloaded"] = true;
                 let opId = op.operationId || index;
@@ -695,12 +888,17 @@ function processParameter(param, op, path, index, openapi, options) {
     if ((param.in === 'path') && ((typeof param.required === 'undefined') || (param.required !== true))) {
         if (options.patch) {
             param.required = true;
+            report('patched', 'Set required:true on path parameter ' + param.name, param, 'required', 'required', options);
         }
         else {
             throwError('(Patchable) path parameters must be required:true', options);
         }
     }
 
+    if (param.in && !param["x-s2o-delete"]) {
+        callHook('onParameter', [param, sourceOf(param, options)], options);
+    }
+
     return result;
 }
 
@@ -725,6 +923,7 @@ function processResponse(response, name, op, openapi, options) {
                 });
                 if ((typeof response === 'object') && (!Array.isArray(response))) {
                     response.description = (sc ? sc.phrase : '');
+                    report('patched', 'Set missing response description to \'' + response.description + '\'', response, 'description', 'description', options);
                 }
             }
             else {
@@ -773,6 +972,7 @@ function processResponse(response, name, op, openapi, options) {
             for (let h in response.headers) {
                 if (h.toLowerCase() === 'status code') {
                     if (options.patch) {
+                        report('dropped', 'Removed invalid "' + h + '" header', response.headers, h, false, options);
                         delete response.headers[h];
                     }
                     else {
@@ -791,22 +991,7 @@ function processPaths(container, containerName, options, requestBodyCache, opena
     for (let p in container) {
         let path = container[p];
         // path.$ref is external only
-        if ((path['x-trace']) && (typeof path['x-trace'] === 'object')) {
-            path.trace = path['x-trace'];
-            delete path['x-trace'];
-        }
-        if ((path['x-summary']) && (typeof path['x-summary'] === 'string')) {
-            path.summary = path['x-summary'];
-            delete path['x-summary'];
-        }
-        if ((path['x-description']) && (typeof path['x-description'] === 'string')) {
-            path.description = path['x-description'];
-            delete path['x-description'];
-        }
-        if ((path['x-servers']) && (Array.isArray(path['x-servers']))) {
-            path.servers = path['x-servers'];
-            delete path['x-servers'];
-        }
+        translators.translate('pathItem', path, container, options);
         for (let method in path) {
             if ((common.httpMethods.indexOf(method) >= 0) || (method === 'x-amazon-apigateway-any-method')) {
                 let op = path[method];
@@ -851,10 +1036,9 @@ function processPaths(container, containerName, options, requestBodyCache, opena
                     processResponse(response, r, op, openapi, options);
                 }
 
-                if ((op['x-servers']) && (Array.isArray(op['x-servers']))) {
-                    op.servers = op['x-servers'];
-                    delete op['x-servers'];
-                } else if (op.schemes && op.schemes.length) {
+                translators.translate('operation', op, path, options);
+
+                if (!op.servers && op.schemes && op.schemes.length) {
                     for (let scheme of op.schemes) {
                         if ((!openapi.schemes) || (openapi.schemes.indexOf(scheme) < 0)) {
                             if (!op.servers) {
@@ -879,77 +1063,34 @@ function processPaths(container, containerName, options, requestBodyCache, opena
                 delete op.produces;
                 delete op.schemes;
 
-                if (op["x-ms-examples"]) {
-                    for (let e in op["x-ms-examples"]) {
-                        let example = op["x-ms-examples"][e];
-                        let se = common.sanitiseAll(e);
-                        if (example.parameters) {
-                            for (let p in example.parameters) {
-                                let value = example.parameters[p];
-                                for (let param of (op.parameters||[]).concat(path.parameters||[])) {
-                                    if (param.$ref) {
-                                        param = jptr.jptr(openapi,param.$ref);
-                                    }
-                                    if ((param.name === p) && (!param.example)) {
-                                        if (!param.examples) {
-                                            param.examples = {};
-                                        }
-                                        param.examples[e] = {value: value};
-                                    }
-                                }
-                            }
-                        }
-                        if (example.responses) {
-                            for (let r in example.responses) {
-                                if (example.responses[r].headers) {
-                                    for (let h in example.responses[r].headers) {
-                                        let value = example.responses[r].headers[h];
-                                        for (let rh in op.responses[r].headers) {
-                                            if (rh === h) {
-                                                let header = op.responses[r].headers[rh];
-                                                header.example = value;
-                                            }
-                                        }
-                                    }
-                                }
-                                if (example.responses[r].body) {
-                                    openapi.components.examples[se] = { value: clone(example.responses[r].body) };
-                                    if (op.responses[r] && op.responses[r].content) {
-                                        for (let ct in op.responses[r].content) {
-                                            let contentType = op.responses[r].content[ct];
-                                            if (!contentType.examples) {
-                                                contentType.examples = {};
-                                            }
-                                            contentType.examples[e] = { $ref: '#/components/examples/'+se };
-                                        }
-                                    }
-                                }
-
-                            }
-                        }
-                    }
-                    delete op["x-ms-examples"];
-                }
-
                 if (op.parameters && op.parameters.length === 0) delete op.parameters;
 
                 if (op.requestBody) {
                     let effectiveOperationId = op.operationId ? common.sanitiseAll(op.operationId) : common.sanitiseAll(method + p).toCamelCase();
                     let rbName = common.sanitise(op.requestBody['x-s2o-name'] || effectiveOperationId || '');
                     delete op.requestBody['x-s2o-name'];
+                    callHook('onRequestBody', [op.requestBody, requestBodySources.get(op) || []], options);
                     let rbStr = JSON.stringify(op.requestBody);
                     let rbHash = common.hash(rbStr);
+                    if (rbName && options.componentNaming && options.componentNaming.requestBodies) {
+                        rbName = componentName('requestBodies', { name: rbName, operationId: effectiveOperationId,
+                            method: method, path: p, hash: contentHash(op.requestBody) }, options);
+                    }
                     if (!requestBodyCache[rbHash]) {
                         let entry = {};
                         entry.name = rbName;
                         entry.body = op.requestBody;
                         entry.refs = [];
+                        entry.names = [];
                         requestBodyCache[rbHash] = entry;
                     }
                     let ptr = '#/'+containerName+'/'+encodeURIComponent(jptr.jpescape(p))+'/'+method+'/requestBody';
                     requestBodyCache[rbHash].refs.push(ptr);
+                    if (requestBodyCache[rbHash].names) requestBodyCache[rbHash].names.push(rbName);
                 }
 
+                callHook('onOperation', [op, p, method, sourceOf(op, options)], options);
+
             }
         }
         if (path.parameters === null) delete path.parameters;
@@ -980,6 +1121,7 @@ function main(openapi, options) {
             }
             openapi.components.securitySchemes[sname] = openapi.components.securitySchemes[s];
             delete openapi.components.securitySchemes[s];
+            report('renamed', 'Renamed securityScheme ' + s + ' to ' + sname, openapi.components.securitySchemes, s, sname, options);
         }
         processSecurityScheme(openapi.components.securitySchemes[sname], options);
     }
@@ -994,6 +1136,7 @@ function main(openapi, options) {
             }
             openapi.components.schemas[sname + suffix] = openapi.components.schemas[s];
             delete openapi.components.schemas[s];
+            report('renamed', 'Renamed schema ' + s + ' to ' + sname + suffix, openapi.components.schemas, s, sname + suffix, options);
         }
         componentNames.schemas[s] = sname + suffix;
         fixUpSchema(openapi.components.schemas[sname+suffix],options)
@@ -1012,6 +1155,7 @@ function main(openapi, options) {
             }
             openapi.components.parameters[sname] = openapi.components.parameters[p];
             delete openapi.components.parameters[p];
+            report('renamed', 'Renamed parameter ' + p + ' to ' + sname, openapi.components.parameters, p, sname, options);
         }
         let param = openapi.components.parameters[sname];
         processParameter(param, null, null, sname, openapi, options);
@@ -1025,6 +1169,7 @@ function main(openapi, options) {
             }
             openapi.components.responses[sname] = openapi.components.responses[r];
             delete openapi.components.responses[r];
+            report('renamed', 'Renamed response ' + r + ' to ' + sname, openapi.components.responses, r, sname, options);
         }
         let response = openapi.components.responses[sname];
         processResponse(response, sname, null, openapi, options);
@@ -1032,6 +1177,7 @@ function main(openapi, options) {
             for (let h in response.headers) {
                 if (h.toLowerCase() === 'status code') {
                     if (options.patch) {
+                        report('dropped', 'Removed invalid "' + h + '" header', response.headers, h, false, options);
                         delete response.headers[h];
                     }
                     else {
@@ -1082,22 +1228,25 @@ function main(openapi, options) {
 
     openapi.components.requestBodies = {}; // for now as we've dereffed them
 
-    let counter = 1;
-    for (let e in requestBodyCache) {
-        let entry = requestBodyCache[e];
-        if (entry.refs.length > 1) {
-            // create a shared requestBody
-            let suffix = '';
-            if (!entry.name) {
-                entry.name = 'requestBody';
-                // @ts-ignore
-                suffix = counter++;
-            }
-            while (rbNamesGenerated.indexOf(entry.name + suffix) >= 0) {
-                // @ts-ignore - this can happen if descriptions are not exactly the same (e.g. bitbucket)
-                suffix = (suffix ? ++suffix : 2);
+    let entries = Object.keys(requestBodyCache).map(function (e) { return requestBodyCache[e]; });
+    if (options.deterministic) {
+        // name each shared requestBody after the first operation using it, in path order
+        for (let entry of entries) {
+            if (entry.names && entry.refs.length) {
+                let first = entry.refs.slice().sort()[0];
+                entry.name = entry.names[entry.refs.indexOf(first)];
             }
-            entry.name = entry.name + suffix;
+        }
+        entries.sort(function (a, b) {
+            return (a.refs.slice().sort()[0] || '').localeCompare(b.refs.slice().sort()[0] || '');
+        });
+    }
+    for (let entry of entries) {
+        if (entry.refs.length > 1) {
+            // create a shared requestBody. Names can clash if descriptions are not exactly the same (e.g. bitbucket)
+            entry.name = uniqueName(entry.name || 'requestBody', !entry.name, contentHash(entry.body), function (name) {
+                return rbNamesGenerated.indexOf(name) >= 0;
+            }, options);
             rbNamesGenerated.push(entry.name);
             openapi.components.requestBodies[entry.name] = clone(entry.body);
             for (let r in entry.refs) {
@@ -1151,6 +1300,7 @@ function fixInfo(openapi, options, reject) {
     if ((typeof openapi.info === 'undefined') || (openapi.info === null)) {
         if (options.patch) {
             openapi.info = { version: '', title: '' };
+            report('patched', 'Added missing info object', openapi, 'info', 'info', options);
         }
         else {
             return reject(new Error('(Patchable) info object is mandatory'));
@@ -1162,6 +1312,7 @@ function fixInfo(openapi, options, reject) {
     if ((typeof openapi.info.title === 'undefined') || (openapi.info.title === null)) {
         if (options.patch) {
             openapi.info.title = '';
+            report('patched', 'Set missing info.title to an empty string', openapi.info, 'title', 'title', options);
         }
         else {
             return reject(new Error('(Patchable) info.title cannot be null'));
@@ -1170,6 +1321,7 @@ function fixInfo(openapi, options, reject) {
     if ((typeof openapi.info.version === 'undefined') || (openapi.info.version === null)) {
         if (options.patch) {
             openapi.info.version = '';
+            report('patched', 'Set missing info.version to an empty string', openapi.info, 'version', 'version', options);
         }
         else {
             return reject(new Error('(Patchable) info.version cannot be null'));
@@ -1178,6 +1330,7 @@ function fixInfo(openapi, options, reject) {
     if (typeof openapi.info.version !== 'string') {
         if (options.patch) {
             openapi.info.version = openapi.info.version.toString();
+            report('patched', 'Converted info.version to the string \'' + openapi.info.version + '\'', openapi.info, 'version', 'version', options);
         }
         else {
             return reject(new Error('(Patchable) info.version must be a string'));
@@ -1187,6 +1340,7 @@ function fixInfo(openapi, options, reject) {
         if (options.patch) {
             openapi.info['x-logo'] = openapi.info.logo;
             delete openapi.info.logo;
+            report('renamed', 'Moved info.logo to info.x-logo', openapi.info, 'logo', 'x-logo', options);
         }
         else return reject(new Error('(Patchable) info should not have logo property'));
     }
@@ -1194,6 +1348,7 @@ function fixInfo(openapi, options, reject) {
         if (openapi.info.termsOfService === null) {
             if (options.patch) {
                 openapi.info.termsOfService = '';
+                report('patched', 'Set null info.termsOfService to an empty string', openapi.info, 'termsOfService', 'termsOfService', options);
             }
             else {
                 return reject(new Error('(Patchable) info.termsOfService cannot be null'));
@@ -1206,6 +1361,7 @@ function fixInfo(openapi, options, reject) {
             catch (ex) {
                 if (options.patch) {
                     delete openapi.info.termsOfService;
+                    report('dropped', 'Removed info.termsOfService which is not a URL', openapi.info, 'termsOfService', false, options);
                 }
                 else return reject(new Error('(Patchable) info.termsOfService must be a URL'));
             }
@@ -1214,9 +1370,13 @@ function fixInfo(openapi, options, reject) {
 }
 
 function fixPaths(openapi, options, reject) {
+    if ((typeof openapi.paths === 'undefined') && openapi.openapi.startsWith('3.1.')) {
+        return; // paths is optional if components or webhooks are present
+    }
     if (typeof openapi.paths === 'undefined') {
         if (options.patch) {
             openapi.paths = {};
+            report('patched', 'Added missing paths object', openapi, 'paths', 'paths', options);
         }
         else {
             return reject(new Error('(Patchable) paths object is mandatory'));
@@ -1234,13 +1394,33 @@ function convertObj(swagger, options, callback) {
         options.promise.resolve = resolve;
         options.promise.reject = reject;
         if (!options.cache) options.cache = {};
+        if (options.report) options.report = [];
+        translators.check(options); // rejects the promise if invalid
+        if (swagger12.isSwagger12(swagger)) {
+            if (!options.source && options.sourceFile) options.source = options.sourceFile;
+            delete options.sourceMap; // its pointers are into the Swagger 1.2 input
+            return swagger12.convert(swagger, options)
+            .then(function (swagger2) {
+                return convertObj(swagger2, options);
+            })
+            .then(resolve, reject);
+        }
         if (swagger.openapi && (typeof swagger.openapi === 'string') && swagger.openapi.startsWith('3.')) {
             options.openapi = cclone(swagger);
+            trackSources(options.openapi, swagger, null, options);
+            trackLocations(options.openapi, options);
             fixInfo(options.openapi, options, reject);
             fixPaths(options.openapi, options, reject);
 
             resolver.optionalResolve(options) // is a no-op if options.resolve is not set
             .then(function(){
+                trackLocations(options.openapi, options);
+                if (wantsUpgrade(options.openapi, options)) {
+                    upgradeTo31(options.openapi, options);
+                }
+                finishReport(options);
+                sources.delete(options);
+                locations.delete(options);
                 if (options.direct) {
                     return resolve(options.openapi);
                 }
@@ -1259,6 +1439,8 @@ function convertObj(swagger, options, callback) {
             return reject(new Error('Unsupported swagger/OpenAPI version: ' + (swagger.openapi ? swagger.openapi : swagger.swagger)));
         }
 
+        callHook('beforeConvert', [swagger], options);
+
         let openapi = options.openapi = {};
         openapi.openapi = targetVersion; // semver
 
@@ -1277,7 +1459,10 @@ function convertObj(swagger, options, callback) {
         }
 
         // we want the new and existing properties to appear in a sensible order. Not guaranteed
-        openapi = Object.assign(openapi, cclone(swagger));
+        let input = cclone(swagger);
+        trackSources(input, swagger, openapi, options);
+        trackLocations(input, options);
+        openapi = Object.assign(openapi, input);
         delete openapi.swagger;
 
         if (swagger.host) {
@@ -1299,58 +1484,16 @@ function convertObj(swagger, options, callback) {
         delete openapi.host;
         delete openapi.basePath;
 
-        if (openapi['x-servers'] && Array.isArray(openapi['x-servers'])) {
-            openapi.servers = openapi['x-servers'];
-            delete openapi['x-servers'];
-        }
-
         // TODO APIMatic extensions (x-server-configuration) ?
 
-        if (swagger['x-ms-parameterized-host']) {
-            let xMsPHost = swagger['x-ms-parameterized-host'];
-            let server = {};
-            server.url = xMsPHost.hostTemplate;
-            server.variables = {};
-            for (let msp in xMsPHost.parameters) {
-                let param = xMsPHost.parameters[msp];
-                if (param.$ref) {
-                    param = clone(resolveInternal(openapi, param.$ref));
-                }
-                if (!msp.startsWith('x-')) {
-                    delete param.required; // all true
-                    delete param.type; // all strings
-                    delete param.in; // all 'host'
-                    if (typeof param.default === 'undefined') {
-                        if (param.enum) {
-                            param.default = param.enum[0];
-                        }
-                        else {
-                            param.default = '';
-                        }
-                    }
-                    server.variables[param.name] = param;
-                    delete param.name;
-                }
-            }
-            if (!openapi.servers) openapi.servers = [];
-            openapi.servers.push(server);
-            delete openapi['x-ms-parameterized-host'];
-        }
+        openapi.components = {};
+        translators.translate('root', openapi, null, options);
 
         fixInfo(openapi, options, reject);
         fixPaths(openapi, options, reject);
 
-        openapi.components = {};
-        if (openapi['x-callbacks']) {
-            openapi.components.callbacks = openapi['x-callbacks'];
-            delete openapi['x-callbacks'];
-        }
         openapi.components.examples = {};
         openapi.components.headers = {};
-        if (openapi['x-links']) {
-            openapi.components.links = openapi['x-links'];
-            delete openapi['x-links'];
-        }
         openapi.components.parameters = openapi.parameters || {};
         openapi.components.responses = openapi.responses || {};
         openapi.components.requestBodies = {};
@@ -1360,10 +1503,22 @@ function convertObj(swagger, options, callback) {
         delete openapi.responses;
         delete openapi.parameters;
         delete openapi.securityDefinitions;
+        moveSourceMap('#/parameters', '#/components/parameters', options);
+        moveSourceMap('#/responses', '#/components/responses', options);
+        moveSourceMap('#/securityDefinitions', '#/components/securitySchemes', options);
+        moveSourceMap('#/definitions', '#/components/schemas', options);
 
         resolver.optionalResolve(options) // is a no-op if options.resolve is not set
         .then(function(){
+            trackLocations(openapi, options); // external content inlined by the resolver
             main(openapi, options);
+            if (wantsUpgrade(options.openapi, options)) {
+                upgradeTo31(options.openapi, options);
+            }
+            finishReport(options);
+            callHook('afterConvert', [options.openapi, swagger], options);
+            sources.delete(options);
+            locations.delete(options);
             if (options.direct) {
                 resolve(options.openapi);
             }
@@ -1394,6 +1549,7 @@ function convertStr(str, options, callback) {
         }
         if (obj) {
             options.original = obj;
+            buildSourceMap(str, options);
             convertObj(obj, options)
             .then(options => resolve(options))
             .catch(ex => reject(ex));
@@ -1410,14 +1566,9 @@ function convertUrl(url, options, callback) {
         if (!options.source) {
             options.source = url;
         }
-        if (options.verbose) {
-            console.log('GET ' + url);
-        }
-        fetch(url, {agent:options.agent}).then(function (res) {
-            if (res.status !== 200) throw new Error(`Received status code ${res.status}`);
-            return res.text();
-        }).then(function (body) {
-            convertStr(body, options)
+        resolver.fetchText(url, options) // through options.urlMap and the on-disk cache
+        .then(function (result) {
+            convertStr(result.text, options)
             .then(options => resolve(options))
             .catch(ex => reject(ex));
         }).catch(function (err) {
@@ -1456,6 +1607,719 @@ function convertStream(readable, options, callback) {
     }));
 }
 
+/*
+* Upgrade from OpenAPI 3.0.x to 3.1.x follows, used when options.targetVersion
+* is set to a 3.1 version. Schema objects become JSON Schema draft 2020-12
+*/
+
+function upgradeSubSchema(schema, options) {
+    if (typeof schema["x-nullable"] === 'boolean') {
+        if (typeof schema.nullable === 'undefined') schema.nullable = schema["x-nullable"];
+        delete schema["x-nullable"];
+    }
+    if (schema.nullable === true) {
+        if (typeof schema.type === 'string') {
+            schema.type = [schema.type, 'null'];
+        }
+        else if (Array.isArray(schema.type)) {
+            if (schema.type.indexOf('null') < 0) schema.type.push('null');
+        }
+        else if (Array.isArray(schema.oneOf)) {
+            schema.oneOf.push({ type: 'null' });
+        }
+        else if (Array.isArray(schema.anyOf)) {
+            schema.anyOf.push({ type: 'null' });
+        }
+        else if (Array.isArray(schema.allOf)) {
+            throwOrWarn('nullable cannot be expressed alongside allOf without a type', schema, options);
+        }
+        if (Array.isArray(schema.enum) && (schema.enum.indexOf(null) < 0)) {
+            schema.enum.push(null);
+        }
+    }
+    delete schema.nullable;
+
+    if (typeof schema.exclusiveMinimum === 'boolean') {
+        if (schema.exclusiveMinimum && (typeof schema.minimum === 'number')) {
+            schema.exclusiveMinimum = schema.minimum;
+            delete schema.minimum;
+        }
+        else delete schema.exclusiveMinimum;
+    }
+    if (typeof schema.exclusiveMaximum === 'boolean') {
+        if (schema.exclusiveMaximum && (typeof schema.maximum === 'number')) {
+            schema.exclusiveMaximum = schema.maximum;
+            delete schema.maximum;
+        }
+        else delete schema.exclusiveMaximum;
+    }
+
+    if (typeof schema.example !== 'undefined') {
+        if (!Array.isArray(schema.examples)) schema.examples = [];
+        schema.examples.push(schema.example);
+        delete schema.example;
+    }
+
+    if (schema.format === 'binary') {
+        schema.contentMediaType = 'application/octet-stream';
+        delete schema.format;
+    }
+    else if (schema.format === 'byte') {
+        schema.contentEncoding = 'base64';
+        delete schema.format;
+    }
+}
+
+function upgradeSchema(schema, options) {
+    sw.walkSchema(schema, {}, {}, function (schema, parent, state) {
+        upgradeSubSchema(schema, options);
+    });
+    return schema;
+}
+
+function upgradeContent(content, options) {
+    for (let ct in content) {
+        if (!content[ct]) continue;
+        if (content[ct].schema) upgradeSchema(content[ct].schema, options);
+        for (let h in content[ct].encoding) {
+            let encoding = content[ct].encoding[h];
+            for (let e in encoding.headers) {
+                upgradeParameter(encoding.headers[e], options);
+            }
+        }
+    }
+}
+
+function upgradeParameter(param, options) { // also used for headers
+    if (!param || param.$ref) return;
+    if (param.schema) upgradeSchema(param.schema, options);
+    if (param.content) upgradeContent(param.content, options);
+}
+
+function upgradeResponse(response, options) {
+    if (!response || response.$ref) return;
+    for (let h in response.headers) {
+        upgradeParameter(response.headers[h], options);
+    }
+    if (response.content) upgradeContent(response.content, options);
+}
+
+function upgradePaths(paths, options) {
+    for (let p in paths) {
+        let pathItem = paths[p];
+        if (!pathItem || pathItem.$ref) continue;
+        for (let param of pathItem.parameters || []) {
+            upgradeParameter(param, options);
+        }
+        for (let method in pathItem) {
+            if (common.httpMethods.indexOf(method) < 0) continue;
+            let op = pathItem[method];
+            for (let param of op.parameters || []) {
+                upgradeParameter(param, options);
+            }
+            if (op.requestBody && !op.requestBody.$ref) {
+                upgradeContent(op.requestBody.content, options);
+            }
+            for (let r in op.responses) {
+                upgradeResponse(op.responses[r], options);
+            }
+            for (let c in op.callbacks) {
+                upgradePaths(op.callbacks[c], options);
+            }
+        }
+    }
+}
+
+function upgradeTo31(openapi, options) {
+    openapi.openapi = options.targetVersion;
+    let components = openapi.components || {};
+    for (let s in components.schemas) {
+        upgradeSchema(components.schemas[s], options);
+    }
+    for (let p in components.parameters) {
+        upgradeParameter(components.parameters[p], options);
+    }
+    for (let h in components.headers) {
+        upgradeParameter(components.headers[h], options);
+    }
+    for (let r in components.responses) {
+        upgradeResponse(components.responses[r], options);
+    }
+    for (let rb in components.requestBodies) {
+        if (!components.requestBodies[rb].$ref) upgradeContent(components.requestBodies[rb].content, options);
+    }
+    for (let c in components.callbacks) {
+        upgradePaths(components.callbacks[c], options);
+    }
+    upgradePaths(openapi.paths, options);
+    if (openapi["x-ms-paths"]) upgradePaths(openapi["x-ms-paths"], options);
+    return openapi;
+}
+
+function wantsUpgrade(openapi, options) {
+    return (typeof options.targetVersion === 'string') && options.targetVersion.startsWith('3.1.') &&
+        (typeof openapi.openapi === 'string') && openapi.openapi.startsWith('3.0.');
+}
+
+/*
+* Down-conversion from OpenAPI 3.0.x to Swagger 2.0 follows. Where the
+* forward conversion understands a specification extension (x-nullable,
+* x-servers, x-links etc) we emit it, so that a round-trip is possible
+*/
+
+const formMediaTypes = ['application/x-www-form-urlencoded', 'multipart/form-data'];
+
+function resolveDown(obj, openapi) {
+    let seen = [];
+    while (obj && (typeof obj.$ref === 'string') && obj.$ref.startsWith('#/') && (seen.indexOf(obj.$ref) < 0)) {
+        seen.push(obj.$ref);
+        let target = resolveInternal(openapi, obj.$ref);
+        if (target === false) break;
+        obj = clone(target);
+    }
+    return obj;
+}
+
+function inlineNonComponentRefs(openapi) {
+    // the resolver can leave $refs pointing into paths, which will move
+    recurse(openapi, {}, function (obj, key, state) {
+        if (isRef(obj, key) && obj[key].startsWith('#/') && !obj[key].startsWith('#/components/')) {
+            let target = resolveInternal(openapi, obj[key]);
+            if (target !== false) state.parent[state.pkey] = clone(target);
+        }
+    });
+}
+
+function downConvertSubSchema(schema, options) {
+    if (typeof schema.nullable === 'boolean') {
+        schema["x-nullable"] = schema.nullable;
+        delete schema.nullable;
+    }
+    for (let keyword of ['oneOf', 'anyOf', 'not']) {
+        if (typeof schema[keyword] !== 'undefined') {
+            throwOrWarn(keyword + ' is not supported in Swagger 2.0 schemas', schema, options);
+            schema['x-' + keyword] = schema[keyword];
+            delete schema[keyword];
+        }
+    }
+    if (schema.discriminator && (typeof schema.discriminator === 'object')) {
+        if (schema.discriminator.mapping) {
+            let discriminator = clone(schema.discriminator);
+            for (let entry in discriminator.mapping) {
+                let schemaOrRef = discriminator.mapping[entry];
+                if (schemaOrRef.startsWith('#/components/schemas/')) {
+                    discriminator.mapping[entry] = schemaOrRef.replace('#/components/schemas/', '#/definitions/');
+                }
+            }
+            schema["x-discriminator"] = discriminator;
+        }
+        schema.discriminator = schema.discriminator.propertyName;
+    }
+    if (typeof schema.writeOnly !== 'undefined') {
+        schema["x-writeOnly"] = schema.writeOnly;
+        delete schema.writeOnly;
+    }
+    if (typeof schema.deprecated !== 'undefined') {
+        schema["x-deprecated"] = schema.deprecated;
+        delete schema.deprecated;
+    }
+}
+
+function downConvertSchema(schema, options) {
+    // collect first, as renaming combinators would stop the walker descending into them
+    let schemas = [];
+    sw.walkSchema(schema, {}, {}, function (schema, parent, state) {
+        schemas.push(schema);
+    });
+    for (let subSchema of schemas) {
+        downConvertSubSchema(subSchema, options);
+    }
+    return schema;
+}
+
+function getCollectionFormat(param, container, options) {
+    let style = param.style || (((param.in === 'query') || (param.in === 'cookie')) ? 'form' : 'simple');
+    let explode = (typeof param.explode === 'boolean' ? param.explode : (style === 'form'));
+    if (style === 'form') {
+        if (explode && ((param.in === 'query') || (param.in === 'formData'))) return 'multi';
+        return 'csv';
+    }
+    if (style === 'spaceDelimited') return 'ssv';
+    if (style === 'pipeDelimited') return 'pipes';
+    if (style !== 'simple') {
+        throwOrWarn('style:' + style + ' is not supported in Swagger 2.0', container, options); // not lossless
+    }
+    return 'csv';
+}
+
+function flattenSchema(target, schema, openapi, options, container) {
+    schema = resolveDown(schema, openapi);
+    if (!schema || (typeof schema !== 'object')) {
+        target.type = 'string';
+        return;
+    }
+    downConvertSchema(schema, options);
+    if ((schema.type === 'object') || schema.properties) {
+        throwOrWarn('Object schemas are not supported for non-body parameters', container, options);
+    }
+    if (schema["x-oneOf"] || schema["x-anyOf"] || schema.allOf) {
+        throwOrWarn('Composite schemas are not supported for non-body parameters', container, options);
+    }
+    target.type = schema.type || 'string';
+    if ((schema.type === 'string') && (schema.format === 'binary') && (target.in === 'formData')) {
+        target.type = 'file';
+    }
+    for (let prop of common.parameterTypeProperties) {
+        if (typeof schema[prop] !== 'undefined') target[prop] = schema[prop];
+    }
+    if (target.type === 'file') delete target.format;
+    if (schema.items) {
+        target.items = resolveDown(schema.items, openapi);
+        delete target.items.$ref;
+    }
+    if (typeof schema["x-nullable"] !== 'undefined') target["x-nullable"] = schema["x-nullable"];
+}
+
+function downConvertParameter(param, container, openapi, options) {
+    if (param.$ref) return param; // rewritten later
+
+    if (param.in === 'cookie') {
+        throwOrWarn('Cookie parameter ' + param.name + ' is not supported in Swagger 2.0', container, options);
+        return false;
+    }
+
+    let schema = param.schema;
+    if (param.content) {
+        throwOrWarn('Parameter ' + param.name + ' uses content, which is not supported in Swagger 2.0', container, options);
+        let ct = Object.keys(param.content)[0];
+        schema = (ct && param.content[ct].schema) || {};
+    }
+    flattenSchema(param, schema, openapi, options, container);
+
+    if (param.type === 'array') {
+        param.collectionFormat = getCollectionFormat(param, container, options);
+    }
+    if (param.allowReserved && (param.in === 'query')) {
+        param["x-ms-skip-url-encoding"] = true;
+    }
+    if (typeof param.example !== 'undefined') {
+        param["x-example"] = param.example;
+    }
+    else if (param.examples && (typeof param.examples === 'object')) {
+        let first = resolveDown(param.examples[Object.keys(param.examples)[0]], openapi);
+        if (first && (typeof first.value !== 'undefined')) param["x-example"] = first.value;
+    }
+    if (typeof param.deprecated === 'boolean') {
+        param["x-deprecated"] = param.deprecated;
+    }
+    delete param.schema;
+    delete param.content;
+    delete param.style;
+    delete param.explode;
+    delete param.allowReserved;
+    delete param.example;
+    delete param.examples;
+    delete param.deprecated;
+    return param;
+}
+
+function downConvertRequestBody(requestBody, op, openapi, options) {
+    let result = { consumes: [], parameters: [] };
+    requestBody = resolveDown(requestBody, openapi);
+    if (!requestBody || !requestBody.content) return result;
+
+    result.consumes = Object.keys(requestBody.content);
+    let formTypes = result.consumes.filter(function (e) {
+        return formMediaTypes.indexOf(e) >= 0;
+    });
+
+    if (formTypes.length) {
+        if (formTypes.length < result.consumes.length) {
+            throwOrWarn('Cannot represent both form and non-form request bodies in Swagger 2.0', op, options);
+            result.consumes = formTypes;
+        }
+        let mediaType = requestBody.content['multipart/form-data'] || requestBody.content['application/x-www-form-urlencoded'];
+        let schema = resolveDown(mediaType.schema, openapi) || {};
+        let required = schema.required || [];
+        for (let name in schema.properties) {
+            let property = resolveDown(schema.properties[name], openapi);
+            let param = { name: name, in: 'formData' };
+            if (property.description) param.description = property.description;
+            if (required.indexOf(name) >= 0) param.required = true;
+            flattenSchema(param, property, openapi, options, op);
+            if (param.type === 'array') param.collectionFormat = 'multi';
+            result.parameters.push(param);
+        }
+    }
+    else {
+        let param = { name: 'body', in: 'body' };
+        if (requestBody.description) param.description = requestBody.description;
+        if (requestBody.required) param.required = requestBody.required;
+        let schemas = result.consumes.map(function (ct) {
+            return JSON.stringify(requestBody.content[ct].schema || {});
+        });
+        if (!common.allSame(schemas)) {
+            throwOrWarn('Request body media types have differing schemas, only the first is used', op, options);
+        }
+        param.schema = downConvertSchema(clone(requestBody.content[result.consumes[0]].schema || {}), options);
+        result.parameters.push(param);
+    }
+    return result;
+}
+
+function downConvertHeader(header, openapi, options) {
+    header = resolveDown(header, openapi);
+    let schema = header.schema;
+    if (header.content) {
+        throwOrWarn('Header content is not supported in Swagger 2.0', header, options);
+        let ct = Object.keys(header.content)[0];
+        schema = (ct && header.content[ct].schema) || {};
+    }
+    flattenSchema(header, schema, openapi, options, header);
+    if (header.type === 'array') header.collectionFormat = 'csv';
+    delete header.schema;
+    delete header.content;
+    delete header.style;
+    delete header.explode;
+    delete header.required;
+    delete header.deprecated;
+    delete header.example;
+    delete header.examples;
+    return header;
+}
+
+function downConvertResponse(response, openapi, options) {
+    let produces = [];
+    if (response.$ref) return produces; // rewritten later
+
+    for (let ct in response.content) {
+        let mediaType = response.content[ct];
+        produces.push(ct);
+        if (mediaType.schema && !response.schema) {
+            response.schema = downConvertSchema(clone(mediaType.schema), options);
+            if ((response.schema.type === 'string') && (response.schema.format === 'binary')) {
+                response.schema = { type: 'file' };
+            }
+        }
+        let example = mediaType.example;
+        if ((typeof example === 'undefined') && mediaType.examples) {
+            let first = resolveDown(mediaType.examples[Object.keys(mediaType.examples)[0]], openapi);
+            if (first) example = first.value;
+        }
+        if (typeof example !== 'undefined') {
+            if (!response.examples) response.examples = {};
+            response.examples[ct] = example;
+        }
+    }
+    delete response.content;
+
+    for (let h in response.headers) {
+        response.headers[h] = downConvertHeader(response.headers[h], openapi, options);
+    }
+    if (response.links) {
+        throwOrWarn('Links are not supported in Swagger 2.0', response, options);
+        response["x-links"] = response.links;
+        delete response.links;
+    }
+    return produces;
+}
+
+function downConvertSecurityScheme(scheme, options) {
+    let result = { type: scheme.type };
+    if (scheme.description) result.description = scheme.description;
+    if (scheme.type === 'apiKey') {
+        result.name = scheme.name;
+        result.in = scheme.in;
+        if (scheme.in === 'cookie') {
+            throwOrWarn('apiKey in:cookie is not supported in Swagger 2.0', result, options);
+        }
+    }
+    else if (scheme.type === 'http') {
+        if ((scheme.scheme || '').toLowerCase() === 'basic') {
+            result.type = 'basic';
+        }
+        else {
+            // the nearest equivalent, e.g. for bearer tokens
+            throwOrWarn('http scheme ' + scheme.scheme + ' approximated as an Authorization header apiKey', result, options);
+            result.type = 'apiKey';
+            result.name = 'Authorization';
+            result.in = 'header';
+        }
+    }
+    else if (scheme.type === 'oauth2') {
+        let flowNames = Object.keys(scheme.flows || {});
+        if (flowNames.length > 1) {
+            throwOrWarn('Only one oauth2 flow per securityScheme is supported in Swagger 2.0', result, options);
+        }
+        let flowName = flowNames[0];
+        let flow = (scheme.flows || {})[flowName] || {};
+        result.flow = flowName;
+        if (flowName === 'clientCredentials') result.flow = 'application';
+        if (flowName === 'authorizationCode') result.flow = 'accessCode';
+        if (typeof flow.authorizationUrl !== 'undefined') result.authorizationUrl = flow.authorizationUrl;
+        if (typeof flow.tokenUrl !== 'undefined') result.tokenUrl = flow.tokenUrl;
+        result.scopes = flow.scopes || {};
+    }
+    else {
+        throwOrWarn('securityScheme type ' + scheme.type + ' is not supported in Swagger 2.0', result, options);
+        return false;
+    }
+    for (let k in scheme) {
+        if (k.startsWith('x-')) result[k] = scheme[k];
+    }
+    return result;
+}
+
+function downConvertServers(openapi, swagger, options) {
+    let servers = openapi.servers;
+    if (!servers || !Array.isArray(servers) || !servers.length) return;
+
+    let locations = servers.map(function (server) {
+        let serverUrl = server.url || '';
+        for (let v in server.variables) {
+            serverUrl = serverUrl.split('{' + v + '}').join(server.variables[v].default);
+        }
+        let u = url.parse(serverUrl, false, true);
+        return { scheme: (u.protocol || '').replace(':', ''), host: u.host, basePath: u.pathname };
+    });
+
+    let first = locations[0];
+    if (first.host) swagger.host = first.host;
+    if (first.basePath && (first.basePath !== '/')) swagger.basePath = first.basePath.replace(/\/$/, '');
+    let schemes = [];
+    let lossy = false;
+    for (let l in locations) {
+        let location = locations[l];
+        if ((location.host === first.host) && (location.basePath === first.basePath)) {
+            if (location.scheme && (schemes.indexOf(location.scheme) < 0)) schemes.push(location.scheme);
+        }
+        else lossy = true;
+        if (servers[l].variables) lossy = true;
+    }
+    if (schemes.length) swagger.schemes = schemes;
+    if (lossy) {
+        swagger["x-servers"] = clone(servers);
+    }
+}
+
+function downConvertOperation(op, pathItem, openapi, options) {
+    if (op.parameters) {
+        op.parameters = op.parameters.map(function (param) {
+            return downConvertParameter(param, op, openapi, options);
+        }).filter(function (param) { return param !== false; });
+    }
+    if (op.requestBody) {
+        let rb = downConvertRequestBody(op.requestBody, op, openapi, options);
+        if (rb.consumes.length) op.consumes = rb.consumes;
+        op.parameters = (op.parameters || []).concat(rb.parameters);
+        delete op.requestBody;
+    }
+    if (op.parameters && !op.parameters.length) delete op.parameters;
+
+    let produces = [];
+    for (let r in op.responses) {
+        for (let ct of downConvertResponse(op.responses[r], openapi, options)) {
+            if (produces.indexOf(ct) < 0) produces.push(ct);
+        }
+    }
+    if (produces.length) op.produces = produces;
+
+    if (op.callbacks) {
+        throwOrWarn('Callbacks are not supported in Swagger 2.0', op, options);
+        op["x-callbacks"] = op.callbacks;
+        delete op.callbacks;
+    }
+    if (op.servers) {
+        op["x-servers"] = op.servers;
+        delete op.servers;
+    }
+}
+
+function downConvertPaths(paths, openapi, options) {
+    for (let p in paths) {
+        let pathItem = paths[p];
+        if (pathItem.trace) {
+            pathItem["x-trace"] = pathItem.trace;
+            delete pathItem.trace;
+        }
+        for (let prop of ['summary', 'description', 'servers']) {
+            if (typeof pathItem[prop] !== 'undefined') {
+                pathItem['x-' + prop] = pathItem[prop];
+                delete pathItem[prop];
+            }
+        }
+        if (pathItem.parameters) {
+            pathItem.parameters = pathItem.parameters.map(function (param) {
+                return downConvertParameter(param, pathItem, openapi, options);
+            }).filter(function (param) { return param !== false; });
+        }
+        for (let method in pathItem) {
+            if (common.httpMethods.indexOf(method) >= 0) {
+                downConvertOperation(pathItem[method], pathItem, openapi, options);
+            }
+        }
+        if (pathItem["x-trace"]) {
+            downConvertOperation(pathItem["x-trace"], pathItem, openapi, options);
+        }
+    }
+}
+
+function downConvertRefs(swagger) {
+    recurse(swagger, {}, function (obj, key, state) {
+        if (isRef(obj, key)) {
+            obj[key] = obj[key].replace('#/components/schemas/', '#/definitions/')
+                .replace('#/components/parameters/', '#/parameters/')
+                .replace('#/components/responses/', '#/responses/');
+        }
+    });
+}
+
+function downConvert(openapi, options) {
+    let swagger = {};
+    swagger.swagger = '2.0';
+    swagger.info = clone(openapi.info);
+    downConvertServers(openapi, swagger, options);
+
+    swagger.paths = clone(openapi.paths || {});
+    downConvertPaths(swagger.paths, openapi, options);
+
+    let components = openapi.components || {};
+    if (components.schemas) {
+        swagger.definitions = {};
+        for (let s in components.schemas) {
+            swagger.definitions[s] = downConvertSchema(clone(components.schemas[s]), options);
+        }
+    }
+    if (components.parameters) {
+        swagger.parameters = {};
+        for (let p in components.parameters) {
+            let param = downConvertParameter(clone(components.parameters[p]), swagger, openapi, options);
+            if (param) swagger.parameters[p] = param;
+        }
+    }
+    if (components.responses) {
+        swagger.responses = {};
+        for (let r in components.responses) {
+            let response = clone(components.responses[r]);
+            downConvertResponse(response, openapi, options);
+            swagger.responses[r] = response;
+        }
+    }
+    if (components.securitySchemes) {
+        swagger.securityDefinitions = {};
+        for (let s in components.securitySchemes) {
+            let scheme = downConvertSecurityScheme(resolveDown(components.securitySchemes[s], openapi), options);
+            if (scheme) swagger.securityDefinitions[s] = scheme;
+        }
+    }
+    if (components.links) {
+        throwOrWarn('Links are not supported in Swagger 2.0', swagger, options);
+        swagger["x-links"] = clone(components.links);
+    }
+    if (components.callbacks) {
+        throwOrWarn('Callbacks are not supported in Swagger 2.0', swagger, options);
+        swagger["x-callbacks"] = clone(components.callbacks);
+    }
+
+    for (let k in openapi) {
+        if ((['security', 'tags', 'externalDocs'].indexOf(k) >= 0) || (k.startsWith('x-') && !swagger[k])) {
+            swagger[k] = clone(openapi[k]);
+        }
+    }
+
+    downConvertRefs(swagger);
+    return swagger;
+}
+
+function convertOas3ToSwagger2Obj(openapi, options, callback) {
+    return maybe(callback, new Promise(function (resolve, reject) {
+        if ((!openapi.openapi) || (typeof openapi.openapi !== 'string') || (!openapi.openapi.startsWith('3.'))) {
+            return reject(new Error('Unsupported OpenAPI version: ' + (openapi.openapi ? openapi.openapi : openapi.swagger)));
+        }
+        options.externals = [];
+        options.externalRefs = {};
+        options.promise = {};
+        options.promise.resolve = resolve;
+        options.promise.reject = reject;
+        if (!options.cache) options.cache = {};
+        options.openapi = cclone(openapi);
+
+        resolver.optionalResolve(options) // is a no-op if options.resolve is not set
+        .then(function(){
+            inlineNonComponentRefs(options.openapi);
+            options.swagger = downConvert(options.openapi, options);
+            if (options.direct) {
+                resolve(options.swagger);
+            }
+            else {
+                resolve(options);
+            }
+        })
+        .catch(function(ex){
+            console.warn(ex);
+            reject(ex);
+        });
+    }));
+}
+
+function convertOas3ToSwagger2Str(str, options, callback) {
+    return maybe(callback, new Promise(function (resolve, reject) {
+        let obj = null;
+        try {
+            obj = JSON.parse(str);
+        }
+        catch (ex) {
+            try {
+                obj = yaml.safeLoad(str, { json: true });
+                options.sourceYaml = true;
+            }
+            catch (ex) { }
+        }
+        if (obj) {
+            options.original = obj;
+            buildSourceMap(str, options);
+            convertOas3ToSwagger2Obj(obj, options)
+            .then(options => resolve(options))
+            .catch(ex => reject(ex));
+        }
+        else {
+            reject(new Error('Could not parse string'));
+        }
+    }));
+}
+
+function convertOas3ToSwagger2Url(url, options, callback) {
+    return maybe(callback, new Promise(function (resolve, reject) {
+        if (!options.source) {
+            options.source = url;
+        }
+        resolver.fetchText(url, options) // through options.urlMap and the on-disk cache
+        .then(function (result) {
+            convertOas3ToSwagger2Str(result.text, options)
+            .then(options => resolve(options))
+            .catch(ex => reject(ex));
+        }).catch(function (err) {
+            reject(err);
+        });
+    }));
+}
+
+function convertOas3ToSwagger2File(filename, options, callback) {
+    return maybe(callback, new Promise(function (resolve, reject) {
+        fs.readFile(filename, options.encoding || 'utf8', function (err, s) {
+            if (err) {
+                reject(err);
+            }
+            else {
+                options.sourceFile = filename;
+                convertOas3ToSwagger2Str(s, options)
+                .then(options => resolve(options))
+                .catch(ex => reject(ex));
+            }
+        });
+    }));
+}
+
 module.exports = {
     targetVersion: targetVersion,
     convert: convertObj,
@@ -1463,5 +2327,11 @@ module.exports = {
     convertUrl: convertUrl,
     convertStr: convertStr,
     convertFile: convertFile,
-    convertStream: convertStream
+    convertStream: convertStream,
+    convertOas3ToSwagger2: convertOas3ToSwagger2Obj,
+    convertOas3ToSwagger2Obj: convertOas3ToSwagger2Obj,
+    convertOas3ToSwagger2Str: convertOas3ToSwagger2Str,
+    convertOas3ToSwagger2Url: convertOas3ToSwagger2Url,
+    convertOas3ToSwagger2File: convertOas3ToSwagger2File,
+    getTranslator: translators.getTranslator
 };
@@ -0,0 +1,140 @@
+'use strict';
+
+/**
+* machine-readable report formats for oas-validate. Each takes an array of
+* results of the form { file, valid, findings: [{ pointer, message, severity,
+* ruleName, file, line, column }] }, where the location properties are optional
+* and file defaults to that of the result
+*/
+
+const ourVersion = require('../package.json').version;
+
+const defaultRuleName = 'openapi-validation';
+
+function escapeXml(s) {
+    return String(s).replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+        .replace(/\n/g, '&#10;');
+}
+
+function describe(finding) {
+    return finding.message + (finding.pointer ? ' (' + finding.pointer + ')' : '');
+}
+
+function json(results) {
+    return JSON.stringify(results, null, 2);
+}
+
+/**
+* only error findings are failures, warn and info findings are reported as the
+* output of passing test cases
+*/
+function junit(results) {
+    let lines = ['<?xml version="1.0" encoding="utf-8"?>', '<testsuites>'];
+    for (let result of results) {
+        let failures = result.findings.filter(function (finding) { return finding.severity === 'error'; }).length;
+        lines.push('  <testsuite name="' + escapeXml(result.file) + '" tests="' + Math.max(result.findings.length, 1) +
+            '" failures="' + failures + '" errors="0">');
+        if (!result.findings.length) {
+            lines.push('    <testcase name="' + defaultRuleName + '" classname="' + escapeXml(result.file) + '"/>');
+        }
+        for (let finding of result.findings) {
+            let text = escapeXml((finding.file || result.file) + (finding.line ? ':' + finding.line + ':' + (finding.column || 1) : '') + ' ' + describe(finding));
+            lines.push('    <testcase name="' + escapeXml(finding.ruleName || defaultRuleName) + '" classname="' + escapeXml(finding.pointer || result.file) + '">');
+            if (finding.severity === 'error') {
+                lines.push('      <failure type="error" message="' + escapeXml(finding.message) + '">' + text + '</failure>');
+            }
+            else {
+                lines.push('      <system-out>' + escapeXml(finding.severity) + ' ' + text + '</system-out>');
+            }
+            lines.push('    </testcase>');
+        }
+        lines.push('  </testsuite>');
+    }
+    lines.push('</testsuites>');
+    return lines.join('\n');
+}
+
+function sarifLevel(severity) {
+    if (severity === 'error') return 'error';
+    if (severity === 'warn') return 'warning';
+    return 'note';
+}
+
+function sarif(results) {
+    let rules = [];
+    let sarifResults = [];
+    for (let result of results) {
+        for (let finding of result.findings) {
+            let ruleId = finding.ruleName || defaultRuleName;
+            if (rules.indexOf(ruleId) < 0) rules.push(ruleId);
+            let location = { physicalLocation: { artifactLocation: { uri: finding.file || result.file } } };
+            if (finding.line) {
+                location.physicalLocation.region = { startLine: finding.line, startColumn: finding.column || 1 };
+            }
+            if (finding.pointer) {
+                location.logicalLocations = [{ fullyQualifiedName: finding.pointer }];
+            }
+            sarifResults.push({
+                ruleId: ruleId,
+                level: sarifLevel(finding.severity),
+                message: { text: finding.message },
+                locations: [location]
+            });
+        }
+    }
+    return JSON.stringify({
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'oas-validate',
+                    version: ourVersion,
+                    informationUri: 'https://github.com/Mermade/oas-kit',
+                    rules: rules.map(function (id) { return { id: id }; })
+                }
+            },
+            results: sarifResults
+        }]
+    }, null, 2);
+}
+
+function checkstyleSeverity(severity) {
+    if (severity === 'warn') return 'warning';
+    return severity;
+}
+
+function checkstyle(results) {
+    let lines = ['<?xml version="1.0" encoding="utf-8"?>', '<checkstyle version="4.3">'];
+    for (let result of results) {
+        // findings located in referenced documents are reported against those files
+        let files = new Map([[result.file, []]]);
+        for (let finding of result.findings) {
+            let file = finding.file || result.file;
+            if (!files.has(file)) files.set(file, []);
+            files.get(file).push(finding);
+        }
+        for (let [file, findings] of files) {
+            lines.push('  <file name="' + escapeXml(file) + '">');
+            for (let finding of findings) {
+                lines.push('    <error' + (finding.line ? ' line="' + finding.line + '" column="' + (finding.column || 1) + '"' : '') +
+                    ' severity="' + checkstyleSeverity(finding.severity) + '" message="' + escapeXml(describe(finding)) +
+                    '" source="' + escapeXml(finding.ruleName || defaultRuleName) + '"/>');
+            }
+            lines.push('  </file>');
+        }
+    }
+    lines.push('</checkstyle>');
+    return lines.join('\n');
+}
+
+module.exports = {
+    json: json,
+    junit: junit,
+    sarif: sarif,
+    checkstyle: checkstyle
+};
@@ -0,0 +1,361 @@
+'use strict';
+
+/**
+* conversion of Swagger 1.2 resource listings and API declarations to
+* Swagger 2.0, which the converter then takes on to OpenAPI 3.0
+*/
+
+const path = require('path');
+const url = require('url');
+
+const resolver = require('oas-resolver');
+
+const modelRef = '#/definitions/';
+const primitives = ['integer', 'number', 'string', 'boolean'];
+const paramTypes = { path: 'path', query: 'query', header: 'header', form: 'formData', body: 'body' };
+
+function isSwagger12(obj) {
+    return !!obj && (typeof obj === 'object') && (String(obj.swaggerVersion) === '1.2');
+}
+
+/**
+* @return true if obj is an API declaration rather than a resource listing
+*/
+function isDeclaration(obj) {
+    return (typeof obj.resourcePath === 'string') || (Array.isArray(obj.apis) &&
+        obj.apis.some(function (api) { return Array.isArray(api.operations); }));
+}
+
+function parseValue(value, type) {
+    if (typeof value !== 'string') return value;
+    if ((type === 'integer') || (type === 'number')) {
+        let number = Number(value);
+        return (isNaN(number) ? value : number);
+    }
+    if (type === 'boolean') {
+        if (value === 'true') return true;
+        if (value === 'false') return false;
+    }
+    return value;
+}
+
+/**
+* converts a 1.2 data type, as held by a property, parameter, operation or
+* items object, to a 2.0 schema
+* @return the schema, or false for void or a missing type
+*/
+function toSchema(item) {
+    if (item.$ref) return { $ref: modelRef + item.$ref };
+    let type = item.type;
+    if (!type || (type === 'void')) return false;
+    let schema = {};
+    if (primitives.indexOf(type) >= 0) {
+        schema.type = type;
+        if (item.format) schema.format = item.format;
+        if (Array.isArray(item.enum)) schema.enum = item.enum.map(function (value) { return parseValue(value, type); });
+        if (typeof item.minimum !== 'undefined') schema.minimum = parseValue(item.minimum, 'number');
+        if (typeof item.maximum !== 'undefined') schema.maximum = parseValue(item.maximum, 'number');
+        if (typeof item.defaultValue !== 'undefined') schema.default = parseValue(item.defaultValue, type);
+    }
+    else if (type === 'array') {
+        schema.type = 'array';
+        schema.items = (item.items && toSchema(item.items)) || {};
+        if (item.uniqueItems) schema.uniqueItems = true;
+    }
+    else if (type === 'File') {
+        schema.type = 'file';
+    }
+    else if (type === 'object') {
+        schema.type = 'object';
+    }
+    else {
+        schema.$ref = modelRef + type;
+    }
+    return schema;
+}
+
+function toDefinition(model) {
+    let schema = { type: 'object' };
+    if (model.description) schema.description = model.description;
+    if (Array.isArray(model.required) && model.required.length) schema.required = model.required.slice();
+    if (model.discriminator) schema.discriminator = model.discriminator;
+    if (model.properties) {
+        schema.properties = {};
+        for (let name in model.properties) {
+            let property = model.properties[name];
+            let propSchema = toSchema(property) || {};
+            if (property.description && !propSchema.$ref) propSchema.description = property.description;
+            schema.properties[name] = propSchema;
+        }
+    }
+    return schema;
+}
+
+function toParameter(param) {
+    let result = { name: param.name, in: paramTypes[param.paramType] || param.paramType };
+    if (param.description) result.description = param.description;
+    if (param.required || (result.in === 'path')) result.required = true;
+    if (result.in === 'body') {
+        result.schema = toSchema(param) || {};
+        return result;
+    }
+    let schema = toSchema(param);
+    if (!schema || schema.$ref) schema = { type: 'string' }; // models can only be sent in the body
+    if (param.allowMultiple && (schema.type !== 'array')) {
+        schema = { type: 'array', items: schema, collectionFormat: 'csv' };
+    }
+    return Object.assign(result, schema);
+}
+
+function toResponses(op) {
+    let responses = {};
+    for (let message of op.responseMessages || []) {
+        let response = { description: message.message || '' };
+        if (message.responseModel) response.schema = toSchema({ type: message.responseModel });
+        responses[String(message.code)] = response;
+    }
+    let success = Object.keys(responses).find(function (code) { return code.startsWith('2'); });
+    if (!success) {
+        success = '200';
+        responses[success] = { description: 'Success' };
+    }
+    let schema = toSchema(op);
+    if (schema && !responses[success].schema) responses[success].schema = schema;
+    return responses;
+}
+
+function toSecurityDefinitions(authorizations) {
+    let result = {};
+    for (let name in authorizations) {
+        let auth = authorizations[name];
+        if (auth.type === 'basicAuth') {
+            result[name] = { type: 'basic' };
+        }
+        else if (auth.type === 'apiKey') {
+            result[name] = { type: 'apiKey', name: auth.keyname, in: (auth.passAs === 'query' ? 'query' : 'header') };
+        }
+        else if (auth.type === 'oauth2') {
+            let scopes = {};
+            for (let scope of auth.scopes || []) {
+                scopes[scope.scope] = scope.description || '';
+            }
+            let grantTypes = auth.grantTypes || {};
+            if (grantTypes.implicit) {
+                let scheme = result[name] = { type: 'oauth2', flow: 'implicit', scopes: scopes };
+                if (grantTypes.implicit.loginEndpoint) scheme.authorizationUrl = grantTypes.implicit.loginEndpoint.url;
+            }
+            let code = grantTypes.authorization_code;
+            if (code) {
+                let scheme = result[grantTypes.implicit ? name + '_accessCode' : name] =
+                    { type: 'oauth2', flow: 'accessCode', scopes: Object.assign({}, scopes) };
+                if (code.tokenRequestEndpoint) scheme.authorizationUrl = code.tokenRequestEndpoint.url;
+                if (code.tokenEndpoint) scheme.tokenUrl = code.tokenEndpoint.url;
+            }
+        }
+    }
+    return result;
+}
+
+/**
+* converts operation authorizations to security requirements, each of which
+* is an alternative
+*/
+function toSecurity(authorizations, securityDefinitions) {
+    let security = [];
+    for (let name in authorizations) {
+        let scopes = (Array.isArray(authorizations[name]) ? authorizations[name] : []).map(function (scope) { return scope.scope; });
+        for (let scheme of [name, name + '_accessCode']) {
+            if ((scheme === name) || securityDefinitions[scheme]) {
+                let requirement = {};
+                requirement[scheme] = scopes;
+                security.push(requirement);
+            }
+        }
+    }
+    return security;
+}
+
+function segments(pathname) {
+    return pathname.split('/').filter(function (segment) { return segment; });
+}
+
+/**
+* finds the host, schemes and common basePath of the declarations, and the
+* remainder of each declaration's basePath which prefixes its paths
+*/
+function toBase(declarations) {
+    let result = { schemes: [], prefixes: [] };
+    let common = null;
+    let parsed = declarations.map(function (declaration) {
+        let base = url.parse(declaration.basePath || '');
+        if (base.host) {
+            if (result.host && (result.host !== base.host)) {
+                throw new Error('Swagger 1.2 API declarations with different hosts (' + result.host + ', ' + base.host + ') cannot be converted');
+            }
+            result.host = base.host;
+        }
+        let scheme = (base.protocol || '').replace(':', '');
+        if (scheme && (result.schemes.indexOf(scheme) < 0)) result.schemes.push(scheme);
+        let parts = segments(base.pathname || '');
+        if (common) {
+            let length = 0;
+            while ((length < common.length) && (common[length] === parts[length])) length++;
+            common = common.slice(0, length);
+        }
+        else {
+            common = parts;
+        }
+        return parts;
+    });
+    common = common || [];
+    result.basePath = '/' + common.join('/');
+    result.prefixes = parsed.map(function (parts) {
+        let rest = parts.slice(common.length);
+        return (rest.length ? '/' + rest.join('/') : '');
+    });
+    return result;
+}
+
+function toInfo(listing, declarations) {
+    let source = listing.info || {};
+    let info = { title: source.title || '', version: String(listing.apiVersion || (declarations[0] || {}).apiVersion || '') };
+    if (source.description) info.description = source.description;
+    if (source.termsOfServiceUrl) info.termsOfService = source.termsOfServiceUrl;
+    if (source.contact) info.contact = { email: source.contact };
+    if (source.license) {
+        info.license = { name: source.license };
+        if (source.licenseUrl) info.license.url = source.licenseUrl;
+    }
+    return info;
+}
+
+/**
+* builds a Swagger 2.0 definition
+* @param listing the resource listing, or an empty object for a lone
+* declaration
+* @param entries array of { api, declaration } where api is the listing's
+* entry for the declaration, or an empty object
+*/
+function toSwagger2(listing, entries) {
+    let declarations = entries.map(function (entry) { return entry.declaration; });
+    let base = toBase(declarations);
+    let swagger = { swagger: '2.0', info: toInfo(listing, declarations) };
+    if (base.host) swagger.host = base.host;
+    if (base.basePath !== '/') swagger.basePath = base.basePath;
+    if (base.schemes.length) swagger.schemes = base.schemes;
+    swagger.tags = [];
+    swagger.paths = {};
+    swagger.definitions = {};
+    swagger.securityDefinitions = toSecurityDefinitions(listing.authorizations ||
+        Object.assign.apply(null, [{}].concat(declarations.map(function (declaration) { return declaration.authorizations || {}; }))));
+    let models = {};
+
+    entries.forEach(function (entry, index) {
+        let declaration = entry.declaration;
+        let tag = segments(declaration.resourcePath || entry.api.path || '').join('_');
+        if (tag && !swagger.tags.find(function (t) { return t.name === tag; })) {
+            let t = { name: tag };
+            if (entry.api.description) t.description = entry.api.description;
+            swagger.tags.push(t);
+        }
+        for (let api of declaration.apis || []) {
+            let key = base.prefixes[index] + api.path.replace('{format}', 'json');
+            let pathItem = swagger.paths[key] || (swagger.paths[key] = {});
+            for (let op of api.operations || []) {
+                let operation = {};
+                if (tag) operation.tags = [tag];
+                if (op.summary) operation.summary = op.summary;
+                if (op.notes) operation.description = op.notes;
+                if (op.nickname) operation.operationId = op.nickname;
+                let produces = op.produces || declaration.produces;
+                if (produces && produces.length) operation.produces = produces.slice();
+                let consumes = op.consumes || declaration.consumes;
+                if (consumes && consumes.length) operation.consumes = consumes.slice();
+                if (op.parameters && op.parameters.length) operation.parameters = op.parameters.map(toParameter);
+                operation.responses = toResponses(op);
+                if ((op.deprecated === true) || (op.deprecated === 'true')) operation.deprecated = true;
+                let authorizations = op.authorizations || declaration.authorizations;
+                if (authorizations) operation.security = toSecurity(authorizations, swagger.securityDefinitions);
+                pathItem[String(op.method || op.httpMethod).toLowerCase()] = operation;
+            }
+        }
+        Object.assign(models, declaration.models);
+    });
+
+    for (let id in models) {
+        swagger.definitions[id] = toDefinition(models[id]);
+    }
+    for (let id in models) {
+        for (let subType of models[id].subTypes || []) {
+            if (swagger.definitions[subType] && !swagger.definitions[subType].allOf) {
+                swagger.definitions[subType] = { allOf: [{ $ref: modelRef + id }, swagger.definitions[subType]] };
+            }
+        }
+    }
+    if (!swagger.tags.length) delete swagger.tags;
+    if (!Object.keys(swagger.securityDefinitions).length) delete swagger.securityDefinitions;
+    return swagger;
+}
+
+/**
+* @return the locations to try for an API declaration. Its path is relative to
+* the resource listing's url, so for a file it is tried beneath the listing's
+* name without its extension (api-docs.json, api-docs/pet.json) and then
+* beside it, each also with the listing's extension where the path has none
+*/
+function declarationTargets(apiPath, source) {
+    apiPath = apiPath.replace('{format}', 'json');
+    if (url.parse(source).protocol) return [source.replace(/\/+$/, '') + apiPath];
+    let ext = path.extname(source);
+    let targets = [];
+    for (let dir of [path.basename(source, ext), '.']) { // relative to the listing
+        let target = path.join(dir, apiPath);
+        targets.push(target);
+        if (ext && !path.extname(target)) targets.push(target + ext);
+    }
+    return targets;
+}
+
+function fetchDeclaration(api, options) {
+    let targets = declarationTargets(api.path, options.source);
+    function attempt(index) {
+        return resolver.fetchDocument(targets[index], options)
+        .then(function (result) {
+            return result.data;
+        })
+        .catch(function (ex) {
+            if (index + 1 < targets.length) return attempt(index + 1);
+            throw new Error('Could not read the Swagger 1.2 API declaration for ' + api.path + ': ' + ex.message);
+        });
+    }
+    return attempt(0);
+}
+
+/**
+* converts a Swagger 1.2 resource listing, reading its API declarations
+* relative to options.source, or a lone API declaration, to Swagger 2.0
+* @return a Promise resolving to the Swagger 2.0 definition
+*/
+function convert(obj, options) {
+    if (isDeclaration(obj)) {
+        return Promise.resolve().then(function () {
+            return toSwagger2({}, [{ api: {}, declaration: obj }]);
+        });
+    }
+    if (!options.source) {
+        return Promise.reject(new Error('options.source must be set to the location of a Swagger 1.2 resource listing'));
+    }
+    return Promise.all((obj.apis || []).map(function (api) {
+        return fetchDeclaration(api, options).then(function (declaration) {
+            return { api: api, declaration: declaration };
+        });
+    }))
+    .then(function (entries) {
+        return toSwagger2(obj, entries);
+    });
+}
+
+module.exports = {
+    isSwagger12: isSwagger12,
+    convert: convert
+};
@@ -0,0 +1,277 @@
+'use strict';
+
+/**
+* built-in translators for specification extensions, run by the converter
+* on each root, pathItem, operation, parameter and schema object. A translator
+* is a function(obj, parent, options) which is called when obj has the
+* extension property, and converts it into OpenAPI 3.0 constructs, removing
+* the extension if it was translated. options.openapi is the definition being
+* converted. Further translators are given per conversion in options.translators
+*/
+
+const jptr = require('reftools/lib/jptr.js').jptr;
+const clone = require('reftools/lib/clone.js').clone;
+const common = require('oas-kit-common');
+
+const builtins = {
+    root: [],
+    pathItem: [],
+    operation: [],
+    parameter: [],
+    schema: []
+};
+
+function register(type, extension, translator) {
+    builtins[type].push({ extension: extension, translator: translator });
+}
+
+/**
+* returns a built-in translator, e.g. to wrap it in options.translators
+* @param type the type of object the extension appears in
+* @param extension the name of the extension, e.g. x-nullable
+* @return the translator, or false
+*/
+function getTranslator(type, extension) {
+    let entry = (builtins[type] || []).find(function (entry) { return entry.extension === extension; });
+    return entry ? entry.translator : false;
+}
+
+/**
+* checks options.translators, an object keyed by type, then by extension, of
+* translators to add to or replace the built-in ones for one conversion. A
+* value of false removes a built-in translator
+* @param options the converter options
+*/
+function check(options) {
+    for (let type in options.translators || {}) {
+        if (!builtins[type]) {
+            throw new Error('Unknown translator type ' + type + ', expected one of ' + Object.keys(builtins).join(', '));
+        }
+        for (let extension in options.translators[type]) {
+            let translator = options.translators[type][extension];
+            if (!extension.startsWith('x-')) throw new Error('Specification extensions must start with x-');
+            if ((typeof translator !== 'function') && (translator !== false)) {
+                throw new Error('Translator for ' + extension + ' must be a function or false');
+            }
+        }
+    }
+}
+
+function entries(type, options) {
+    let custom = (options.translators && options.translators[type]) || {};
+    let result = builtins[type].map(function (entry) {
+        if (!Object.prototype.hasOwnProperty.call(custom, entry.extension)) return entry;
+        return { extension: entry.extension, translator: custom[entry.extension] };
+    });
+    for (let extension in custom) {
+        if (!getTranslator(type, extension)) {
+            result.push({ extension: extension, translator: custom[extension] });
+        }
+    }
+    return result.filter(function (entry) { return entry.translator; });
+}
+
+/**
+* runs the translators of a type over an object, the built-in ones (or those
+* replacing them) first, then those in options.translators in order
+* @param type the type of object
+* @param obj the object to translate
+* @param parent the enclosing object (the paths object of a pathItem, the
+* pathItem of an operation, the operation of a parameter, the parent schema),
+* or null
+* @param options the converter options
+*/
+function translate(type, obj, parent, options) {
+    if (!obj || (typeof obj !== 'object')) return;
+    for (let entry of entries(type, options)) {
+        if (typeof obj[entry.extension] !== 'undefined') {
+            entry.translator(obj, parent, options);
+        }
+    }
+}
+
+function rename(from, to, test) {
+    return function (obj) {
+        if (test(obj[from])) {
+            obj[to] = obj[from];
+            delete obj[from];
+        }
+    };
+}
+
+function isArray(value) {
+    return Array.isArray(value);
+}
+
+function isTruthy(value) {
+    return !!value;
+}
+
+function ofType(type) {
+    return function (value) {
+        return value && (typeof value === type);
+    };
+}
+
+// root
+
+function xMsParameterizedHost(openapi) {
+    let xMsPHost = openapi['x-ms-parameterized-host'];
+    if (!xMsPHost) return;
+    let server = {};
+    server.url = xMsPHost.hostTemplate;
+    server.variables = {};
+    for (let msp in xMsPHost.parameters) {
+        let param = xMsPHost.parameters[msp];
+        if (param.$ref) {
+            param = clone(jptr(openapi, param.$ref));
+        }
+        if (!msp.startsWith('x-')) {
+            delete param.required; // all true
+            delete param.type; // all strings
+            delete param.in; // all 'host'
+            if (typeof param.default === 'undefined') {
+                if (param.enum) {
+                    param.default = param.enum[0];
+                }
+                else {
+                    param.default = '';
+                }
+            }
+            server.variables[param.name] = param;
+            delete param.name;
+        }
+    }
+    if (!openapi.servers) openapi.servers = [];
+    openapi.servers.push(server);
+    delete openapi['x-ms-parameterized-host'];
+}
+
+function toComponents(extension, component) {
+    return function (openapi) {
+        if (!openapi[extension]) return;
+        if (!openapi.components) openapi.components = {};
+        openapi.components[component] = openapi[extension];
+        delete openapi[extension];
+    };
+}
+
+register('root', 'x-servers', rename('x-servers', 'servers', isArray));
+register('root', 'x-ms-parameterized-host', xMsParameterizedHost);
+register('root', 'x-callbacks', toComponents('x-callbacks', 'callbacks'));
+register('root', 'x-links', toComponents('x-links', 'links'));
+
+// pathItem
+
+register('pathItem', 'x-trace', rename('x-trace', 'trace', ofType('object')));
+register('pathItem', 'x-summary', rename('x-summary', 'summary', ofType('string')));
+register('pathItem', 'x-description', rename('x-description', 'description', ofType('string')));
+register('pathItem', 'x-servers', rename('x-servers', 'servers', isArray));
+
+// operation
+
+function xMsExamples(op, path, options) {
+    let openapi = options.openapi;
+    if (!op["x-ms-examples"]) return;
+    for (let e in op["x-ms-examples"]) {
+        let example = op["x-ms-examples"][e];
+        let se = common.sanitiseAll(e);
+        if (example.parameters) {
+            for (let p in example.parameters) {
+                let value = example.parameters[p];
+                for (let param of (op.parameters||[]).concat(path.parameters||[])) {
+                    if (param.$ref) {
+                        param = jptr(openapi,param.$ref);
+                    }
+                    if ((param.name === p) && (!param.example)) {
+                        if (!param.examples) {
+                            param.examples = {};
+                        }
+                        param.examples[e] = {value: value};
+                    }
+                }
+            }
+        }
+        if (example.responses) {
+            for (let r in example.responses) {
+                if (example.responses[r].headers) {
+                    for (let h in example.responses[r].headers) {
+                        let value = example.responses[r].headers[h];
+                        for (let rh in op.responses[r].headers) {
+                            if (rh === h) {
+                                let header = op.responses[r].headers[rh];
+                                header.example = value;
+                            }
+                        }
+                    }
+                }
+                if (example.responses[r].body) {
+                    openapi.components.examples[se] = { value: clone(example.responses[r].body) };
+                    if (op.responses[r] && op.responses[r].content) {
+                        for (let ct in op.responses[r].content) {
+                            let contentType = op.responses[r].content[ct];
+                            if (!contentType.examples) {
+                                contentType.examples = {};
+                            }
+                            contentType.examples[e] = { $ref: '#/components/examples/'+se };
+                        }
+                    }
+                }
+
+            }
+        }
+    }
+    delete op["x-ms-examples"];
+}
+
+register('operation', 'x-servers', rename('x-servers', 'servers', isArray));
+register('operation', 'x-ms-examples', xMsExamples);
+
+// parameter
+
+function xMsSkipUrlEncoding(param) {
+    if (param["x-ms-skip-url-encoding"] && (param.in === 'query')) { // might be in:path, not allowed in OAS3
+        param.allowReserved = true;
+        delete param["x-ms-skip-url-encoding"];
+    }
+}
+
+register('parameter', 'x-deprecated', rename('x-deprecated', 'deprecated', function (value) { return typeof value === 'boolean'; }));
+register('parameter', 'x-example', rename('x-example', 'example', function () { return true; }));
+register('parameter', 'x-ms-skip-url-encoding', xMsSkipUrlEncoding);
+
+// schema
+
+function xRequired(schema) {
+    if (Array.isArray(schema["x-required"])) {
+        if (!schema.required) schema.required = [];
+        schema.required = schema.required.concat(schema["x-required"]);
+        delete schema["x-required"];
+    }
+}
+
+function xDiscriminator(schema) {
+    if ((typeof schema["x-discriminator"] === 'object') && (typeof schema["x-discriminator"].propertyName === 'string')) {
+        schema.discriminator = schema["x-discriminator"];
+        delete schema["x-discriminator"];
+        for (let entry in schema.discriminator.mapping) {
+            let schemaOrRef = schema.discriminator.mapping[entry];
+            if (schemaOrRef.startsWith('#/definitions/')) {
+                schema.discriminator.mapping[entry] = schemaOrRef.replace('#/definitions/','#/components/schemas/');
+            }
+        }
+    }
+}
+
+register('schema', 'x-required', xRequired);
+register('schema', 'x-anyOf', rename('x-anyOf', 'anyOf', isTruthy));
+register('schema', 'x-oneOf', rename('x-oneOf', 'oneOf', isTruthy));
+register('schema', 'x-not', rename('x-not', 'not', isTruthy));
+register('schema', 'x-nullable', rename('x-nullable', 'nullable', function (value) { return typeof value === 'boolean'; }));
+register('schema', 'x-discriminator', xDiscriminator);
+
+module.exports = {
+    check: check,
+    getTranslator: getTranslator,
+    translate: translate
+};
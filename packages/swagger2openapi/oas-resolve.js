@@ -6,22 +6,43 @@ const fs = require('fs');
 const util = require('util');
 
 const yaml = require('js-yaml');
-const fetch = require('node-fetch');
 
 const resolver = require('oas-resolver');
 
 let argv = require('yargs')
+    .boolean('bundle')
+    .alias('b','bundle')
+    .describe('bundle','collect external references into components')
+    .string('cache-dir')
+    .describe('cache-dir','directory for a persistent cache of remote references')
+    .number('cache-ttl')
+    .describe('cache-ttl','seconds before cached remote references are revalidated, default 3600')
+    .string('circular')
+    .describe('circular','circular reference strategy when dereferencing, keep-ref*, ignore, error or depth:N')
+    .default('circular','keep-ref')
+    .boolean('dereference')
+    .alias('d','dereference')
+    .describe('dereference','dereference all internal references')
+    .string('graph')
+    .alias('g','graph')
+    .choices('graph',['dot','json'])
+    .describe('graph','output the graph of referenced files instead, in dot or json format')
+    .boolean('offline')
+    .describe('offline','fail on any remote reference not mapped by --urlMap')
     .string('output')
     .alias('o','output')
-    .describe('output','file to output to')
-    .default('output','resolved.yaml')
+    .describe('output','file to output to, defaults to resolved.yaml, or stdout with --graph')
     .count('quiet')
     .alias('q','quiet')
     .describe('quiet','reduce verbosity')
+    .array('urlMap')
+    .describe('urlMap','prefix=replacement to map remote references to local paths or other urls, may be repeated')
     .count('verbose')
     .default('verbose',2)
     .alias('v','verbose')
     .describe('verbose','increase verbosity')
+    .boolean('watch')
+    .describe('watch','watch the input and referenced files, resolving again on change')
     .demand(1)
     .argv;
 
@@ -31,36 +52,89 @@ let options = {resolve: true};
 
 options.verbose = argv.verbose;
 if (argv.quiet) options.verbose = options.verbose - argv.quiet;
+options.bundle = argv.bundle;
+options.urlMap = argv.urlMap;
+options.offline = argv.offline;
+options.cacheDir = argv.cacheDir;
+options.cacheTtl = argv.cacheTtl;
+if (argv.graph && !argv.output) options.verbose = 0; // stdout is reserved for the graph
+
+function writeGraph(options){
+    let graph = resolver.getDependencyGraph(options);
+    let str = (argv.graph === 'dot' ? resolver.graphToDot(graph) : JSON.stringify(graph,null,2)+'\n');
+    if (argv.output) {
+        fs.writeFileSync(argv.output,str,'utf8');
+    }
+    else {
+        process.stdout.write(str);
+    }
+}
+
+let watchCache = {};
+let watcher = null;
 
 function main(str,source,options){
-    let input = yaml.safeLoad(str,{json:true});
-    resolver.resolve(input,source,options)
+    return new Promise(function(res){
+        res(yaml.safeLoad(str,{json:true}));
+    })
+    .then(function(input){
+        return resolver.resolve(input,source,options);
+    })
     .then(function(options){
-        fs.writeFileSync(argv.output,yaml.safeDump(options.openapi,{lineWidth:-1}),'utf8');
+        if (argv.graph) return writeGraph(options);
+        let output = options.openapi;
+        if (argv.dereference) {
+            let derefOptions = {circular:argv.circular};
+            output = resolver.dereference(output,derefOptions);
+            if (derefOptions.cycles.length && options.verbose) console.warn('Circular references',derefOptions.cycles);
+        }
+        fs.writeFileSync(argv.output || 'resolved.yaml',yaml.safeDump(output,{lineWidth:-1}),'utf8');
+    })
+    .catch(function(err){
+        console.warn(err);
+        if (argv.graph) writeGraph(options);
+    });
+}
+
+function watchFiles(runOptions){
+    if (!watcher) {
+        watcher = resolver.watch(function(changed){
+            if (options.verbose) console.log('Changed',changed.join(', '));
+            for (let file of changed) {
+                delete watchCache[file]; // untouched files are reused from the cache
+            }
+            return run();
+        },{verbose:options.verbose});
+    }
+    let files = resolver.getLocalFiles(runOptions);
+    watcher.update(files);
+    if (options.verbose) console.log('Watching',files.length,'file(s)');
+}
+
+function run(){
+    let runOptions = Object.assign({},options,{cache:watchCache});
+    return util.promisify(fs.readFile)(filespec,'utf8')
+    .then(function(data){
+        return main(data,filespec,runOptions);
     })
     .catch(function(err){
         console.warn(err);
+    })
+    .then(function(){
+        if (argv.watch) watchFiles(runOptions);
     });
 }
 
 if (filespec && filespec.startsWith('http')) {
-    console.log('GET ' + filespec);
-    fetch(filespec, {agent:options.agent}).then(function (res) {
-        if (res.status !== 200) throw new Error(`Received status code ${res.status}`);
-        return res.text();
-    }).then(function (body) {
-        main(body,filespec,options);
+    if (argv.watch) console.warn('Cannot watch ' + filespec);
+    resolver.fetchText(filespec, options) // through options.urlMap, options.offline and the on-disk cache
+    .then(function (result) {
+        main(result.text,filespec,options);
     }).catch(function (err) {
         console.warn(err);
+        process.exitCode = 1;
     });
 }
 else {
-    fs.readFile(filespec,'utf8',function(err,data){
-        if (err) {
-            console.warn(err);
-        }
-        else {
-            main(data,filespec,options);
-        }
-    });
+    run();
 }
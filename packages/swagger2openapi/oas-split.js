@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const yaml = require('js-yaml');
+const fetch = require('node-fetch');
+
+const resolver = require('oas-resolver');
+
+let argv = require('yargs')
+    .usage('oas-split [options] {infile}')
+    .string('format')
+    .alias('f','format')
+    .choices('format',['yaml','json'])
+    .default('format','yaml')
+    .describe('format','format of the output files')
+    .array('layout')
+    .alias('l','layout')
+    .describe('layout','container=directory, e.g. components/schemas=schemas, may be repeated')
+    .string('naming')
+    .alias('n','naming')
+    .choices('naming',['original','kebab','snake'])
+    .default('naming','original')
+    .describe('naming','file naming convention')
+    .string('output')
+    .alias('o','output')
+    .describe('output','directory to output to')
+    .default('output','.')
+    .string('root')
+    .alias('r','root')
+    .describe('root','name of the root file, defaults to openapi.yaml or swagger.yaml')
+    .count('verbose')
+    .alias('v','verbose')
+    .describe('verbose','increase verbosity')
+    .demand(1)
+    .argv;
+
+let filespec = argv._[0];
+
+let options = {};
+options.format = argv.format;
+options.naming = argv.naming;
+if (argv.root) options.root = argv.root;
+if (argv.layout) {
+    options.layout = {};
+    for (let entry of argv.layout) {
+        let parts = entry.split('=');
+        options.layout[parts[0].replace(/^#?\//,'')] = (parts.length > 1 ? parts[1] : parts[0]);
+    }
+}
+
+function mkdirp(dir) {
+    if (fs.existsSync(dir)) return;
+    mkdirp(path.dirname(dir));
+    fs.mkdirSync(dir);
+}
+
+function main(str){
+    let input = yaml.safeLoad(str,{json:true});
+    let files = resolver.split(input,options);
+    for (let file in files) {
+        let target = path.join(argv.output,file);
+        mkdirp(path.dirname(target));
+        let content = (options.format === 'json' ? JSON.stringify(files[file],null,2) : yaml.safeDump(files[file],{lineWidth:-1}));
+        fs.writeFileSync(target,content,'utf8');
+        if (argv.verbose) console.log('Wrote',target);
+    }
+}
+
+function fail(err) {
+    console.warn(err);
+    process.exitCode = 1;
+}
+
+if (filespec && filespec.startsWith('http')) {
+    console.log('GET ' + filespec);
+    fetch(filespec).then(function (res) {
+        if (res.status !== 200) throw new Error(`Received status code ${res.status}`);
+        return res.text();
+    }).then(function (body) {
+        main(body);
+    }).catch(fail);
+}
+else {
+    fs.readFile(filespec,'utf8',function(err,data){
+        if (err) {
+            return fail(err);
+        }
+        try {
+            main(data);
+        }
+        catch (ex) {
+            fail(ex);
+        }
+    });
+}
@@ -11,11 +11,13 @@ const should = require('should/as-function');
 const yaml = require('js-yaml');
 
 const validator = require('oas-validator');
+const resolver = require('oas-resolver');
 const common = require('oas-kit-common');
 const clone = require('reftools/lib/clone.js').circularClone;
 const reref = require('reftools/lib/reref.js').reref;
 
 const swagger2openapi = require('./index.js');
+const formatters = require('./lib/formatters.js');
 
 let globalExpectFailure = false;
 
@@ -24,6 +26,13 @@ const baseName = path.basename(process.argv[1]);
 const yargs = require('yargs');
 let argv = yargs
     .usage(baseName+' [options] {path-to-specs}...')
+    .boolean('allErrors')
+    .alias('a', 'allErrors')
+    .describe('allErrors', 'report all validation errors, not just the first')
+    .string('cache-dir')
+    .describe('cache-dir', 'directory for a persistent cache of remote references')
+    .number('cache-ttl')
+    .describe('cache-ttl', 'seconds before cached remote references are revalidated, default 3600')
     .string('encoding')
     .alias('e', 'encoding')
     .default('encoding', 'utf8')
@@ -40,11 +49,20 @@ let argv = yargs
     .boolean('mediatype')
     .alias('m','mediatype')
     .describe('mediatype','check media-types against RFC pattern')
+    .string('format')
+    .choices('format', ['text', 'json', 'junit', 'sarif', 'checkstyle'])
+    .describe('format', 'report format, text* or machine-readable json, junit, sarif or checkstyle')
     .boolean('lint')
     .describe('lint','lint the definition')
+    .string('lintConfig')
+    .describe('lintConfig','path to linter config file, default: search for .oaslintrc')
+    .boolean('lintFunctions')
+    .describe('lintFunctions','allow function rules in a .oaslintrc found by searching')
     .boolean('nopatch')
     .alias('n', 'nopatch')
     .describe('nopatch', 'do not patch minor errors in the source definition')
+    .boolean('offline')
+    .describe('offline', 'fail on any remote reference not mapped by --urlMap')
     .string('output')
     .alias('o', 'output')
     .describe('output', 'output conversion result')
@@ -60,6 +78,10 @@ let argv = yargs
     .boolean('stop')
     .alias('s', 'stop')
     .describe('stop', 'stop on first error')
+    .array('urlMap')
+    .describe('urlMap', 'prefix=replacement to map remote references to local paths or other urls, may be repeated')
+    .boolean('validateExamples')
+    .describe('validateExamples', 'validate examples against their schemas')
     .string('validateSchema')
     .describe('validateSchema','Run schema validation step: first, last* or never')
     .count('verbose')
@@ -67,6 +89,8 @@ let argv = yargs
     .describe('verbose', 'increase verbosity')
     .boolean('warnOnly')
     .describe('warnOnly','Do not throw on non-patchable errors')
+    .boolean('watch')
+    .describe('watch', 'watch the input and referenced files, validating again on change')
     .boolean('whatwg')
     .alias('w', 'whatwg')
     .describe('whatwg', 'enable WHATWG URL parsing')
@@ -84,20 +108,66 @@ let pass = 0;
 let fail = 0;
 let failures = [];
 let warnings = [];
+let results = [];
+let started = 0;
+
+// watch mode state, the cache and source maps being shared by successive runs
+let roots = {}; // expectFailure by root file
+let runs = {}; // conversion options of the last run by root file
+let dependencies = {}; // local files by root file
+let watchCache = {};
+let watchSourceMaps = {};
+let watcher = null;
+let cycleDone = null;
+
+const machineFormat = !!(argv.format && (argv.format !== 'text'));
+// keep stdout clean for the machine-readable report
+const log = (machineFormat ? console.error : console.log);
 
 let genStack = [];
 
 let options = argv;
 options.patch = !argv.nopatch;
 options.fatal = true;
+if (machineFormat) options.allErrors = true;
 if (options.verbose) Error.stackTraceLimit = Infinity;
 
+function locate(pointer, options) {
+    let location = common.getLocation(options.sourceMap, pointer);
+    return (location ? ' (' + common.formatLocation(location) + ')' : '');
+}
+
+function getFindings(err, options) {
+    let findings = (options.errors || []).slice();
+    if (err) {
+        let finding = {
+            pointer: options.context[options.context.length - 1],
+            message: err.message,
+            severity: 'error',
+            ruleName: (options.lintRule ? options.lintRule.name : null)
+        };
+        let location = common.getLocation(options.sourceMap, finding.pointer);
+        if (location) {
+            finding.file = location.file;
+            finding.line = location.line;
+            finding.column = location.column;
+        }
+        findings.push(finding);
+    }
+    for (let warning of options.warnings || []) { // not tied to a location within the definition
+        findings.push({ pointer: '#', message: warning, severity: 'warn', ruleName: null });
+    }
+    return findings;
+}
+
 function finalise(err, options) {
+    let findings = getFindings(err, options);
     if (!argv.quiet || err) {
-        console.log(common.colour.normal + options.file);
+        log(common.colour.normal + options.file);
     }
     if (err) {
-        console.log(common.colour.red + options.context.pop() + '\n' + err.message);
+        let pointer = options.context.pop();
+        log(common.colour.red + pointer + locate(pointer, options) + '\n' + err.message);
         if (err.name.indexOf('ERR_INVALID_URL')>=0) {
             // nop
         }
@@ -107,7 +177,7 @@ function finalise(err, options) {
             }
         }
         else if (err.stack && err.name !== 'AssertionError' && err.name !== 'CLIError') {
-            console.log(err.stack);
+            log(err.stack);
             warnings.push(err.name+' '+options.file);
         }
         if (options.lintRule && options.lintRule.description !== err.message) {
@@ -115,6 +185,13 @@ function finalise(err, options) {
         }
         options.valid = (!!options.expectFailure || options.allowFailure);
     }
+    if (options.errors && options.errors.length) {
+        for (let error of options.errors) {
+            let colour = (error.severity === 'error' ? common.colour.red : common.colour.yellow);
+            log(colour + error.pointer + locate(error.pointer, options) + '\n' + error.message + (error.ruleName ? ' ('+error.ruleName+')' : ''));
+        }
+        log(common.colour.normal);
+    }
     if (options.warnings) {
         for (let warning of options.warnings) {
             warnings.push(options.file + ' ' + warning);
@@ -123,13 +200,14 @@ function finalise(err, options) {
 
     let src = options.original;
     let result = options.valid;
+    results.push({ file: options.file, valid: (options.expectFailure ? !result : result), findings: findings });
 
     if (!argv.quiet) {
         let colour = ((options.expectFailure ? !result : result) ? common.colour.green : common.colour.red);
         if (src && src.info) {
-            console.log(colour + '  %s %s', src.info.title, src.info.version);
-            if (src["x-testcase"]) console.log(' ',src["x-testcase"]);
-            console.log('  %s', src.swagger ? (src.host ? src.host : 'relative') : (src.servers && src.servers.length ? src.servers[0].url : 'relative'),common.colour.normal);
+            log(colour + '  %s %s', src.info.title, src.info.version);
+            if (src["x-testcase"]) log(' ',src["x-testcase"]);
+            log('  %s', src.swagger ? (src.host ? src.host : 'relative') : (src.servers && src.servers.length ? src.servers[0].url : 'relative'),common.colour.normal);
         }
     }
     if (result) {
@@ -184,7 +262,7 @@ function handleResult(err, options) {
         validator.validate(result, options, finalise);
     }
     catch (ex) {
-        console.log(common.colour.normal + options.file);
+        log(common.colour.normal + options.file);
         console.warn(common.colour.red + (options.context.length ? options.context.pop() : 'No context')+ '\n' + ex.message);
         if (ex.stack && ex.name !== 'AssertionError' && ex.name !== 'CLIError') {
             console.warn(ex.stack);
@@ -195,7 +273,10 @@ function handleResult(err, options) {
 }
 
 function genStackNext() {
-    if (!genStack.length) return false;
+    if (!genStack.length) {
+        if (argv.watch && (results.length >= started)) endCycle();
+        return false;
+    }
     let gen = genStack.shift();
     gen.next();
     return true;
@@ -209,11 +290,16 @@ function* check(file, force, expectFailure) {
     let components = file.split(path.sep);
     let name = components[components.length - 1];
     let src;
+    let sourceMap;
 
     if ((name.indexOf('.yaml') >= 0) || (name.indexOf('.yml') >= 0) || (name.indexOf('.json') >= 0) || force) {
 
         if (!file.startsWith('http')) {
             let srcStr = fs.readFileSync(path.resolve(file), options.encoding);
+            try {
+                sourceMap = common.getSourceMap(srcStr, file);
+            }
+            catch (ex) { }
             try {
                 src = JSON.parse(srcStr);
             }
@@ -223,7 +309,7 @@ function* check(file, force, expectFailure) {
                 }
                 catch (ex) {
                     let warning = 'Could not parse file ' + file + '\n' + ex.message;
-                    console.log(common.colour.red + warning);
+                    log(common.colour.red + warning);
                     if (ex.stack && ex.message.indexOf('stack')>=0) {
                         console.warn(ex.stack);
                     }
@@ -231,12 +317,17 @@ function* check(file, force, expectFailure) {
                 }
             }
 
+            if (argv.watch && (!src || src.swagger || src.openapi)) {
+                roots[file] = expectFailure;
+            }
+
             if (!src || ((!src.swagger && !src.openapi))) {
                 genStackNext();
                 return true;
             }
         }
 
+        started++;
         options.original = src;
         options.source = file;
         options.expectFailure = false;
@@ -261,6 +352,7 @@ function* check(file, force, expectFailure) {
             })
             .catch(function(ex){
                 console.warn(common.colour.red+ex,common.colour.normal);
+                results.push({ file: options.source, valid: false, findings: [{ message: ex.message, severity: (expectFailure ? 'warn' : 'error'), ruleName: null }] });
                 if (expectFailure) {
                     warnings.push('Converter failed ' + options.source);
                 }
@@ -273,13 +365,21 @@ function* check(file, force, expectFailure) {
             });
         }
         else {
-            swagger2openapi.convertObj(src, clone(options))
+            let convertOptions = clone(options);
+            convertOptions.sourceMap = sourceMap;
+            if (argv.watch) {
+                convertOptions.cache = watchCache;
+                convertOptions.sourceMaps = watchSourceMaps;
+                runs[file] = convertOptions;
+            }
+            swagger2openapi.convertObj(src, convertOptions)
             .then(function(options){
                 handleResult(null,options);
             })
             .catch(function(ex){
                 console.warn(common.colour.red+ex,common.colour.normal);
                 console.warn(ex.stack);
+                results.push({ file: options.source, valid: false, findings: [{ message: ex.message, severity: (expectFailure ? 'warn' : 'error'), ruleName: null }] });
                 if (expectFailure) {
                     warnings.push('Converter failed ' + options.source);
                 }
@@ -319,7 +419,7 @@ function processPathSpec(pathspec, expectFailure) {
     }
     else {
         readfiles(pathspec, { readContents: false, filenameFormat: readfiles.FULL_PATH }, function (err) {
-            if (err) console.log(util.inspect(err));
+            if (err) log(util.inspect(err));
         })
         .then(files => {
             files = files.sort();
@@ -329,13 +429,13 @@ function processPathSpec(pathspec, expectFailure) {
             genStackNext();
         })
         .catch(err => {
-            console.log(util.inspect(err));
+            log(util.inspect(err));
         });
     }
 }
 
 process.exitCode = 1;
-console.log('Gathering...');
+log('Gathering...');
 for (let pathspec of argv._) {
     processPathSpec(pathspec, false);
 }
@@ -348,22 +448,71 @@ if (argv.fail) {
 
 process.on('unhandledRejection', r => console.warn(r));
 
-process.on('exit', function () {
+function summarise() {
     if (warnings.length) {
         warnings.sort();
-        console.log(common.colour.normal + '\nWarnings:' + common.colour.yellow);
+        log(common.colour.normal + '\nWarnings:' + common.colour.yellow);
         for (let w in warnings) {
-            console.log(warnings[w]);
+            log(warnings[w]);
         }
     }
     if (failures.length) {
         failures.sort();
-        console.log(common.colour.normal + '\nFailures:' + common.colour.red);
+        log(common.colour.normal + '\nFailures:' + common.colour.red);
         for (let f in failures) {
-            console.log(failures[f]);
+            log(failures[f]);
         }
     }
-    console.log(common.colour.normal);
-    console.log('Tests: %s passing, %s failing, %s warnings', pass, fail, warnings.length);
+    log(common.colour.normal);
+    log('Tests: %s passing, %s failing, %s warnings', pass, fail, warnings.length);
+    if (machineFormat) {
+        console.log(formatters[argv.format](results));
+    }
     process.exitCode = ((fail === 0) && (pass > 0)) ? 0 : 1;
+}
+
+function endCycle() {
+    summarise();
+    pass = 0;
+    fail = 0;
+    failures = [];
+    warnings = [];
+    results = [];
+    started = 0;
+    let files = [];
+    for (let root in roots) {
+        dependencies[root] = (runs[root] ? resolver.getLocalFiles(runs[root]) : [path.resolve(root)]);
+        files = files.concat(dependencies[root]);
+    }
+    if (!watcher) watcher = resolver.watch(revalidate, { verbose: options.verbose });
+    watcher.update(files);
+    log(common.colour.normal + 'Watching ' + files.length + ' file(s)...');
+    if (cycleDone) {
+        let done = cycleDone;
+        cycleDone = null;
+        done();
+    }
+}
+
+function revalidate(changed) {
+    for (let file of changed) {
+        delete watchCache[file]; // untouched files are reused from the cache
+        delete watchSourceMaps[file];
+    }
+    let affected = Object.keys(roots).filter(function (root) {
+        return dependencies[root].some(function (file) { return changed.indexOf(file) >= 0; });
+    });
+    if (!affected.length) return false;
+    log(common.colour.normal + 'Changed ' + changed.join(', '));
+    return new Promise(function (res) {
+        cycleDone = res;
+        for (let root of affected) {
+            genStack.push(check(root, true, roots[root]));
+        }
+        genStackNext();
+    });
+}
+
+process.on('exit', function () {
+    if (!argv.watch) summarise();
 });
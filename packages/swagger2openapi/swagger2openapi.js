@@ -12,12 +12,18 @@ const converter = require('./index.js');
 
 // @ts-ignore
 let argv = require('yargs')
+    .string('cache-dir')
+    .describe('cache-dir', 'directory for a persistent cache of remote references')
+    .number('cache-ttl')
+    .describe('cache-ttl', 'seconds before cached remote references are revalidated, default 3600')
     .boolean('components')
     .alias('c', 'components')
     .describe('components', 'output information to unresolve a definition')
     .boolean('debug')
     .alias('d', 'debug')
     .describe('debug', 'enable debug mode, adds specification-extensions')
+    .boolean('deterministic')
+    .describe('deterministic', 'name created components by content rather than order')
     .string('encoding')
     .alias('e', 'encoding')
     .default('encoding', 'utf8')
@@ -36,12 +42,21 @@ let argv = require('yargs')
     .boolean('patch')
     .alias('p', 'patch')
     .describe('patch', 'fix up small errors in the source definition')
+    .boolean('offline')
+    .describe('offline', 'fail on any remote reference not mapped by --urlMap')
+    .string('report')
+    .describe('report', 'file to write a JSON report of the patches and changes made')
     .boolean('resolve')
     .alias('r', 'resolve')
     .describe('resolve', 'resolve external references')
+    .string('targetVersion')
+    .alias('t', 'targetVersion')
+    .describe('targetVersion', 'override default target version of 3.0.0, e.g. 3.1.0')
     .string('url')
     .describe('url', 'url of original spec, creates x-origin entry')
     .alias('u', 'url')
+    .array('urlMap')
+    .describe('urlMap', 'prefix=replacement to map remote references to local paths or other urls, may be repeated')
     .count('verbose')
     .alias('v', 'verbose')
     .describe('verbose', 'increase verbosity')
@@ -96,8 +111,13 @@ function processResult(err, options) {
     if (argv.components) {
         console.log(JSON.stringify(options.externals, null, options.indent||4));
     }
+
+    if (reportFile) {
+        fs.writeFileSync(reportFile, JSON.stringify(options.report, null, options.indent||4), options.encoding || 'utf8');
+    }
 }
 
+const reportFile = argv.report; // replaced by the report array itself during conversion
 argv.source = argv._[0];
 let u = url.parse(argv.source);
 if (u.protocol && u.protocol.startsWith('http')) {
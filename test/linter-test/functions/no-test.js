@@ -0,0 +1,5 @@
+'use strict';
+
+module.exports = function (info) {
+    if (info.title.indexOf('test') >= 0) return 'info title mentions test';
+};
@@ -0,0 +1,36 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const yaml = require('js-yaml');
+
+const swagger2openapi = require('../packages/swagger2openapi/index.js');
+
+const tests = fs.readdirSync(path.join(__dirname,'o2s-test')).filter(file => {
+    return fs.statSync(path.join(__dirname, 'o2s-test', file)).isDirectory();
+});
+
+tests.forEach((test) => {
+    describe('o2s '+test, () => {
+        it('should match expected output', (done) => {
+            const openapi = yaml.safeLoad(fs.readFileSync(path.join(__dirname, 'o2s-test', test, 'openapi.yaml'),'utf8'),{json:true});
+            const swagger = yaml.safeLoad(fs.readFileSync(path.join(__dirname, 'o2s-test', test, 'swagger.yaml'),'utf8'),{json:true});
+
+            let options = {};
+            try {
+                options = yaml.safeLoad(fs.readFileSync(path.join(__dirname, 'o2s-test', test, 'options.yaml'),'utf8'),{json:true});
+                options.source = path.join(__dirname, 'o2s-test', test, 'openapi.yaml');
+            }
+            catch (ex) {}
+
+            swagger2openapi.convertOas3ToSwagger2(openapi, options, (err, result) => {
+                if (err) return done(err);
+
+                assert.deepEqual(result.swagger, swagger);
+
+                return done();
+            });
+        });
+    });
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+const should = require('should');
+const validator = require('../packages/oas-validator/index.js');
+
+function definition() {
+    return {
+        openapi: '3.0.0',
+        info: { title: 'allErrors', version: '1.0.0' },
+        paths: {
+            '/a': {
+                parameters: [{ name: 'p', in: 'query' }],
+                get: { responses: { '200': {} } },
+                post: { operationId: 5, responses: { '200': { description: 'OK' } } },
+                put: {
+                    parameters: [
+                        { name: 'q', in: 'nowhere', schema: {} },
+                        { name: 'r', in: 'query', schema: {}, style: 1 }
+                    ],
+                    responses: {
+                        '200': { description: 'OK', content: { 'application/json': { foo: 1 }, 'text/plain': { bar: 2 } } },
+                        '400': { description: 3 }
+                    }
+                }
+            }
+        },
+        components: {
+            securitySchemes: {
+                oauth: { type: 'oauth2', flows: { implicit: { scopes: {} }, password: { scopes: {} } } }
+            }
+        }
+    };
+}
+
+describe('allErrors', function(){
+    it('should report every failure in one run',function(){
+        let options = { allErrors: true, validateSchema: 'never' };
+        validator.validateSync(definition(), options).should.be.exactly(false);
+        options.errors.map(function (e) { return e.pointer; }).should.eql([
+            '#/components/securitySchemes/oauth/flows/implicit',
+            '#/components/securitySchemes/oauth/flows/password',
+            '#/paths/~1a/parameters/0',
+            '#/paths/~1a/get/responses/200',
+            '#/paths/~1a/post',
+            '#/paths/~1a/put/responses/200/content/application~1json',
+            '#/paths/~1a/put/responses/200/content/text~1plain',
+            '#/paths/~1a/put/responses/400',
+            '#/paths/~1a/put/parameters/0',
+            '#/paths/~1a/put/parameters/1'
+        ]);
+        options.errors.forEach(function (e) {
+            e.should.have.properties({ severity: 'error', ruleName: null });
+            e.message.should.be.a.String();
+        });
+    });
+    it('should keep checking an operation after a failure',function(){
+        let openapi = definition();
+        openapi.paths['/a'].put.parameters = [{ name: 'q', in: 'query', schema: {}, style: 1 }];
+        let options = { allErrors: true, validateSchema: 'never' };
+        validator.validateSync(openapi, options);
+        let pointers = options.errors.map(function (e) { return e.pointer; });
+        pointers.should.containEql('#/paths/~1a/put/parameters/0');
+        pointers.should.containEql('#/paths/~1a/put/responses/400');
+    });
+    it('should record malformed tags and components sections',function(){
+        let openapi = definition();
+        openapi.tags = 'oops';
+        openapi.components.schemas = [];
+        openapi.components.responses = 'oops';
+        let options = { allErrors: true, validateSchema: 'never' };
+        validator.validateSync(openapi, options).should.be.exactly(false);
+        let pointers = options.errors.map(function (e) { return e.pointer; });
+        pointers.should.containEql('#/tags');
+        pointers.should.containEql('#/components/schemas');
+        pointers.should.containEql('#/components/responses');
+        pointers.should.containEql('#/paths/~1a/put/parameters/1');
+        options.context.should.eql(['#/']);
+    });
+    it('should record a malformed components object',function(){
+        let openapi = definition();
+        openapi.components = [];
+        let options = { allErrors: true, validateSchema: 'never' };
+        validator.validateSync(openapi, options).should.be.exactly(false);
+        options.errors.map(function (e) { return e.pointer; }).should.containEql('#/components');
+        options.context.should.eql(['#/']);
+    });
+    it('should stop at the first failure without allErrors',function(){
+        let options = { validateSchema: 'never' };
+        should(function(){
+            validator.validateSync(definition(), options);
+        }).throw();
+        options.errors.should.eql([]);
+    });
+});
@@ -0,0 +1,214 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const childProcess = require('child_process');
+const should = require('should');
+const cache = require('../packages/oas-resolver/cache.js');
+const swagger2openapi = require('../packages/swagger2openapi/index.js');
+
+const lastModified = 'Wed, 01 Jan 2025 00:00:00 GMT';
+
+const swagger = `swagger: '2.0'
+info:
+  title: cached
+  version: 1.0.0
+paths: {}
+`;
+
+describe('on-disk cache', function(){
+    let server;
+    let base;
+    let requests;
+    let cacheDir;
+
+    before(function(done){
+        server = http.createServer(function(req, res){
+            requests.push({ url: req.url, headers: req.headers });
+            if (req.url === '/etag.yaml') {
+                if (req.headers['if-none-match'] === '"v1"') {
+                    res.writeHead(304);
+                    return res.end();
+                }
+                res.writeHead(200, { 'ETag': '"v1"' });
+                return res.end('etag: true\n');
+            }
+            if (req.url === '/modified.yaml') {
+                if (req.headers['if-modified-since'] === lastModified) {
+                    res.writeHead(304);
+                    return res.end();
+                }
+                res.writeHead(200, { 'Last-Modified': lastModified });
+                return res.end('modified: true\n');
+            }
+            if (req.url === '/swagger.yaml') {
+                res.writeHead(200);
+                return res.end(swagger);
+            }
+            res.writeHead(404);
+            res.end();
+        });
+        server.listen(0, '127.0.0.1', function(){
+            base = 'http://127.0.0.1:' + server.address().port;
+            done();
+        });
+    });
+    after(function(done){
+        server.close(done);
+    });
+    beforeEach(function(){
+        requests = [];
+        cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'oas-cache-'));
+    });
+    afterEach(function(){
+        for (let file of fs.readdirSync(cacheDir)) fs.unlinkSync(path.join(cacheDir, file));
+        fs.rmdirSync(cacheDir);
+    });
+
+    it('should store entries and use them until they expire',function(){
+        let target = base + '/etag.yaml';
+        let options = { cacheDir: cacheDir };
+        return cache.fetchText(target, options)
+        .then(function(body){
+            body.should.equal('etag: true\n');
+            let entry = cache.readEntry(target, options);
+            entry.should.have.properties({ url: target, etag: '"v1"', body: body });
+            return cache.fetchText(target, options);
+        })
+        .then(function(body){
+            body.should.equal('etag: true\n');
+            requests.length.should.equal(1);
+        });
+    });
+    it('should revalidate expired entries by ETag',function(){
+        let target = base + '/etag.yaml';
+        let options = { cacheDir: cacheDir, cacheTtl: 0 };
+        let fetched;
+        return cache.fetchText(target, options)
+        .then(function(){
+            fetched = cache.readEntry(target, options).fetched;
+            return new Promise(function(resolve){ setTimeout(resolve, 5); });
+        })
+        .then(function(){
+            return cache.fetchText(target, options);
+        })
+        .then(function(body){
+            body.should.equal('etag: true\n');
+            requests.length.should.equal(2);
+            requests[1].headers['if-none-match'].should.equal('"v1"');
+            cache.readEntry(target, options).fetched.should.be.greaterThan(fetched);
+        });
+    });
+    it('should revalidate expired entries by Last-Modified',function(){
+        let target = base + '/modified.yaml';
+        let options = { cacheDir: cacheDir, cacheTtl: 0 };
+        return cache.fetchText(target, options)
+        .then(function(){
+            cache.readEntry(target, options).lastModified.should.equal(lastModified);
+            return cache.fetchText(target, options);
+        })
+        .then(function(body){
+            body.should.equal('modified: true\n');
+            requests.length.should.equal(2);
+            requests[1].headers['if-modified-since'].should.equal(lastModified);
+            should.not.exist(requests[1].headers['if-none-match']);
+        });
+    });
+    it('should fetch again over a corrupt entry',function(){
+        let target = base + '/etag.yaml';
+        let options = { cacheDir: cacheDir };
+        return cache.fetchText(target, options)
+        .then(function(){
+            for (let file of fs.readdirSync(cacheDir)) fs.writeFileSync(path.join(cacheDir, file), '{ not json', 'utf8');
+            cache.readEntry(target, options).should.be.exactly(false);
+            return cache.fetchText(target, options);
+        })
+        .then(function(body){
+            body.should.equal('etag: true\n');
+            requests.length.should.equal(2);
+            should.not.exist(requests[1].headers['if-none-match']);
+            cache.readEntry(target, options).body.should.equal(body);
+        });
+    });
+    it('should use expired entries offline and fail without one',function(){
+        let target = base + '/etag.yaml';
+        return cache.fetchText(target, { cacheDir: cacheDir })
+        .then(function(){
+            return cache.fetchText(target, { cacheDir: cacheDir, cacheTtl: 0, offline: true });
+        })
+        .then(function(body){
+            body.should.equal('etag: true\n');
+            requests.length.should.equal(1);
+            return cache.fetchText(base + '/modified.yaml', { cacheDir: cacheDir, offline: true })
+            .should.be.rejectedWith('Cannot fetch ' + base + '/modified.yaml in offline mode');
+        });
+    });
+    it('should use expired entries when the server is unavailable',function(){
+        let gone = http.createServer(function(req, res){
+            res.writeHead(200);
+            res.end('gone: false\n');
+        });
+        let target;
+        return new Promise(function(resolve){ gone.listen(0, '127.0.0.1', resolve); })
+        .then(function(){
+            target = 'http://127.0.0.1:' + gone.address().port + '/gone.yaml';
+            return cache.fetchText(target, { cacheDir: cacheDir });
+        })
+        .then(function(){
+            return new Promise(function(resolve){ gone.close(resolve); });
+        })
+        .then(function(){
+            return cache.fetchText(target, { cacheDir: cacheDir, cacheTtl: 0 });
+        })
+        .then(function(body){
+            body.should.equal('gone: false\n');
+        });
+    });
+    it('should not cache failed fetches',function(){
+        let options = { cacheDir: cacheDir };
+        return cache.fetchText(base + '/missing.yaml', options)
+        .should.be.rejectedWith('Received status code 404')
+        .then(function(){
+            cache.readEntry(base + '/missing.yaml', options).should.be.exactly(false);
+        });
+    });
+    it('should read definitions given as a url through the cache',function(){
+        let target = base + '/swagger.yaml';
+        return swagger2openapi.convertUrl(target, { cacheDir: cacheDir })
+        .then(function(){
+            return swagger2openapi.convertUrl(target, { cacheDir: cacheDir, offline: true });
+        })
+        .then(function(options){
+            options.openapi.info.title.should.equal('cached');
+            requests.length.should.equal(1);
+            return swagger2openapi.convertUrl(base + '/other.yaml', { cacheDir: cacheDir, offline: true })
+            .should.be.rejectedWith(/in offline mode$/);
+        });
+    });
+    it('should read definitions given as a url to oas-resolve through the cache',function(){
+        let target = base + '/swagger.yaml';
+        let output = path.join(cacheDir, 'resolved.yaml');
+        function resolve(cli, extra) {
+            let args = [ path.join(__dirname, '..', 'packages', cli), '-q', '-q', '--cache-dir', cacheDir, '-o', output ].concat(extra, target);
+            return new Promise(function(resolve, reject){
+                childProcess.execFile(process.execPath, args, { timeout: 30000 }, function(err){
+                    if (err) return reject(err);
+                    resolve(fs.readFileSync(output, 'utf8'));
+                });
+            });
+        }
+        return resolve('oas-resolver/resolve.js', [])
+        .then(function(){
+            return resolve('oas-resolver/resolve.js', [ '--offline' ]);
+        })
+        .then(function(){
+            return resolve('swagger2openapi/oas-resolve.js', [ '--offline' ]);
+        })
+        .then(function(str){
+            str.should.containEql('title: cached');
+            requests.length.should.equal(1);
+        });
+    });
+});
@@ -0,0 +1,72 @@
+'use strict';
+const should = require('should');
+const dereference = require('../packages/oas-resolver/dereference.js').dereference;
+
+const input = {
+  openapi: '3.0.0',
+  info: { title: 'dereference', version: '1.0.0' },
+  paths: {
+    '/nodes': {
+      get: {
+        responses: {
+          '200': { $ref: '#/components/responses/Node' }
+        }
+      }
+    }
+  },
+  components: {
+    responses: {
+      Node: {
+        description: 'ok',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Node' } } }
+      }
+    },
+    schemas: {
+      Node: {
+        properties: {
+          next: { $ref: '#/components/schemas/Node' },
+          label: { $ref: '#/components/schemas/Label' }
+        }
+      },
+      Label: { $ref: '#/components/schemas/Text' },
+      Text: { type: 'string' }
+    }
+  }
+};
+
+function schemaOf(output) {
+  return output.paths['/nodes'].get.responses['200'].content['application/json'].schema;
+}
+
+describe('dereference openapi',function(){
+    describe('keep-ref',function(){
+        it('should expand $refs and leave circular ones in place',function(){
+            let options = {};
+            let output = dereference(input,options);
+            let node = schemaOf(output);
+            node.properties.label.type.should.equal('string');
+            node.properties.next.should.eql({ $ref: '#/components/schemas/Node' });
+            output.components.schemas.Label.type.should.equal('string');
+            options.cycles.should.eql(['#/components/schemas/Node']);
+            input.components.schemas.Label.should.have.property('$ref');
+        });
+    });
+    describe('ignore',function(){
+        it('should replace circular $refs with the object itself',function(){
+            let node = schemaOf(dereference(input,{ circular: 'ignore' }));
+            node.properties.next.should.equal(node);
+        });
+    });
+    describe('error',function(){
+        it('should throw on circular $refs',function(){
+            (function(){ dereference(input,{ circular: 'error' }); }).should.throw(/Circular reference/);
+        });
+    });
+    describe('depth',function(){
+        it('should expand circular $refs to the given depth',function(){
+            let node = schemaOf(dereference(input,{ circular: 'depth:2' }));
+            node.properties.next.properties.next.properties.next.should.eql({});
+            node.properties.next.properties.next.properties.label.type.should.equal('string');
+        });
+    });
+});
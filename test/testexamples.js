@@ -0,0 +1,73 @@
+'use strict';
+
+const should = require('should');
+const validator = require('../packages/oas-validator/index.js');
+
+function definition() {
+  return {
+    openapi: '3.0.0',
+    info: { title: 'examples', version: '1.0.0' },
+    paths: {
+      '/pets/{id}': {
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'integer', minimum: 1, exclusiveMinimum: true }, example: 2 }
+        ],
+        post: {
+          requestBody: {
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Pet' },
+                example: { name: 'Rex', tag: null }
+              }
+            }
+          },
+          responses: {
+            '200': {
+              description: 'ok',
+              content: {
+                'application/json': {
+                  schema: { $ref: '#/components/schemas/Pet' },
+                  examples: { rex: { value: { id: 2, name: 'Rex' } } }
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    components: {
+      schemas: {
+        Pet: {
+          type: 'object',
+          required: ['id', 'name'],
+          properties: {
+            id: { type: 'integer', readOnly: true },
+            name: { type: 'string' },
+            tag: { type: 'string', nullable: true }
+          }
+        }
+      }
+    }
+  };
+}
+
+function validate(openapi) {
+  let options = { validateExamples: true, allErrors: true };
+  validator.validateSync(openapi, options);
+  return options.errors.map(function (error) { return error.pointer; });
+}
+
+describe('example validation',function(){
+    it('should accept examples matching their schemas',function(){
+        validate(definition()).should.eql([]);
+    });
+    it('should report examples not matching their schemas',function(){
+        let openapi = definition();
+        openapi.paths['/pets/{id}'].parameters[0].example = 1;
+        openapi.paths['/pets/{id}'].post.responses['200'].content['application/json'].examples.rex.value = { name: 'Rex' };
+        validate(openapi).should.eql([
+            '#/paths/~1pets~1{id}/parameters/0/example',
+            '#/paths/~1pets~1{id}/post/responses/200/content/application~1json/examples/rex/value'
+        ]);
+    });
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+const should = require('should');
+const formatters = require('../packages/swagger2openapi/lib/formatters.js');
+const validator = require('../packages/oas-validator/index.js');
+
+function results() {
+    return [{
+        file: 'openapi.yaml',
+        valid: false,
+        findings: [
+            { pointer: '#/info', message: 'info needs a <title>', severity: 'error', ruleName: null, file: 'openapi.yaml', line: 2, column: 3 },
+            { pointer: '#/paths/~1pets', message: 'pathItem should have summary or description', severity: 'warn', ruleName: 'pathItem-summary-or-description' },
+            { pointer: '#/tags', message: 'tags are sorted', severity: 'info', ruleName: 'tags-sorted', file: 'tags.yaml', line: 4 }
+        ]
+    }, {
+        file: 'valid.yaml',
+        valid: true,
+        findings: []
+    }];
+}
+
+describe('report formatters', function(){
+    it('should write json',function(){
+        JSON.parse(formatters.json(results())).should.eql(results());
+    });
+    it('should only count errors as junit failures',function(){
+        let xml = formatters.junit(results());
+        xml.should.containEql('<testsuite name="openapi.yaml" tests="3" failures="1" errors="0">');
+        xml.match(/<failure /g).length.should.equal(1);
+        xml.should.containEql('<failure type="error" message="info needs a &lt;title&gt;">openapi.yaml:2:3 info needs a &lt;title&gt; (#/info)</failure>');
+        xml.should.containEql('<testcase name="pathItem-summary-or-description" classname="#/paths/~1pets">');
+        xml.should.containEql('<system-out>warn openapi.yaml pathItem should have summary or description (#/paths/~1pets)</system-out>');
+        xml.should.containEql('<testsuite name="valid.yaml" tests="1" failures="0" errors="0">');
+        xml.should.containEql('<testcase name="openapi-validation" classname="valid.yaml"/>');
+    });
+    it('should only fail a junit report with warnings for errors',function(){
+        let input = results();
+        input[0].findings.shift();
+        formatters.junit(input).should.not.containEql('<failure');
+    });
+    it('should write sarif',function(){
+        let sarif = JSON.parse(formatters.sarif(results()));
+        sarif.version.should.equal('2.1.0');
+        let run = sarif.runs[0];
+        run.tool.driver.rules.map(function (rule) { return rule.id; })
+            .should.eql(['openapi-validation', 'pathItem-summary-or-description', 'tags-sorted']);
+        run.results.map(function (result) { return result.level; }).should.eql(['error', 'warning', 'note']);
+        run.results[0].locations[0].should.eql({
+            physicalLocation: { artifactLocation: { uri: 'openapi.yaml' }, region: { startLine: 2, startColumn: 3 } },
+            logicalLocations: [{ fullyQualifiedName: '#/info' }]
+        });
+        should.not.exist(run.results[1].locations[0].physicalLocation.region);
+        run.results[2].locations[0].physicalLocation.artifactLocation.uri.should.equal('tags.yaml');
+    });
+    it('should write checkstyle, grouped by file',function(){
+        let xml = formatters.checkstyle(results());
+        xml.should.containEql('<file name="openapi.yaml">');
+        xml.should.containEql('<error line="2" column="3" severity="error" message="info needs a &lt;title&gt; (#/info)" source="openapi-validation"/>');
+        xml.should.containEql('<error severity="warning" message="pathItem should have summary or description (#/paths/~1pets)" source="pathItem-summary-or-description"/>');
+        xml.should.containEql('<file name="tags.yaml">\n    <error line="4" column="1" severity="info"');
+        xml.should.containEql('<file name="valid.yaml">\n  </file>');
+    });
+    it('should give validator warnings a pointer with allErrors',function(){
+        let openapi = {
+            openapi: '3.1.0',
+            info: { title: 'warnings', version: '1.0.0' },
+            components: { requestBodies: { requestBody1: { content: {} } } }
+        };
+        let options = { allErrors: true, validateSchema: 'never' };
+        validator.validateSync(openapi, options).should.be.exactly(true);
+        options.warnings.should.eql([]);
+        options.errors.should.eql([{
+            pointer: '#/components/requestBodies/requestBody1',
+            message: 'Anonymous requestBody: requestBody1',
+            severity: 'warn',
+            ruleName: null
+        }]);
+    });
+});
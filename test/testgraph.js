@@ -0,0 +1,48 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const should = require('should');
+const yaml = require('js-yaml');
+const resolver = require('../packages/oas-resolver/index.js');
+
+const dir = path.join(__dirname, 'resolver-test', 'graph');
+const source = path.join(dir, 'openapi.yaml');
+const pet = path.join(dir, 'defs', 'pet.yaml');
+const owner = path.join(dir, 'defs', 'owner.yaml');
+
+describe('dependency graph',function(){
+    let options = {};
+    let graph;
+    before(function(){
+        let input = yaml.safeLoad(fs.readFileSync(source,'utf8'),{json:true});
+        return resolver.resolve(input,source,options).then(function(){
+            graph = resolver.getDependencyGraph(options);
+        });
+    });
+    it('should contain each file',function(){
+        graph.root.should.equal(source);
+        graph.nodes.map(function(node){ return node.id; }).should.eql([source,pet,owner]);
+    });
+    it('should contain each reference',function(){
+        graph.edges.map(function(edge){ return [edge.from,edge.to,edge.$ref,edge.resolved]; }).should.eql([
+            [source,pet,'defs/pet.yaml',true],
+            [source,pet,'defs/pet.yaml#/missing',false],
+            [pet,owner,'owner.yaml',true],
+            [owner,pet,'pet.yaml',true]
+        ]);
+    });
+    it('should report cycles and unresolved references',function(){
+        graph.cycles.should.eql([[pet,owner]]);
+        graph.unresolved.length.should.equal(1);
+        graph.unresolved[0].error.should.match(/Could not find #\/missing/);
+    });
+    it('should list the local files to watch',function(){
+        resolver.getLocalFiles(options).should.eql([source,pet,owner]);
+    });
+    it('should format the graph as dot',function(){
+        let dot = resolver.graphToDot(graph);
+        dot.should.startWith('digraph dependencies {');
+        dot.should.containEql('"'+pet+'" -> "'+owner+'" [label="owner.yaml", color=orange];');
+    });
+});
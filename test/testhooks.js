@@ -0,0 +1,92 @@
+'use strict';
+
+const should = require('should');
+const swagger2openapi = require('../packages/swagger2openapi/index.js');
+
+function definition() {
+  return {
+    swagger: '2.0',
+    info: { title: 'hooks', version: '1.0.0' },
+    consumes: ['application/json'],
+    paths: {
+      '/pets': {
+        post: {
+          operationId: 'addPet',
+          parameters: [
+            { name: 'dryRun', in: 'query', type: 'boolean' },
+            { name: 'pet', in: 'body', schema: { $ref: '#/definitions/Pet' } }
+          ],
+          responses: {
+            '201': { description: 'created', schema: { type: 'object', properties: { id: { type: 'integer' } } } }
+          }
+        }
+      }
+    },
+    definitions: {
+      Pet: { type: 'object', properties: { name: { type: 'string', 'x-nullable': true } } }
+    }
+  };
+}
+
+describe('lifecycle hooks', function(){
+    it('should call each hook with the converted and original fragments',function(){
+        let calls = [];
+        let pointers = [];
+        let hooks = {
+            beforeConvert: function(swagger, options){
+                calls.push('beforeConvert');
+                swagger.info.title.should.equal('hooks');
+                should.exist(options.hooks);
+            },
+            onSchema: function(schema, pointer, original){
+                pointers.push(pointer);
+                if (pointer === '#/definitions/Pet/properties/name') {
+                    schema.nullable.should.be.exactly(true);
+                    original['x-nullable'].should.be.exactly(true);
+                    schema['x-checked'] = true;
+                }
+                if (pointer === '#/paths/~1pets/post/responses/201/schema') {
+                    original.properties.id.type.should.equal('integer');
+                }
+            },
+            onParameter: function(param, original){
+                calls.push('onParameter:' + param.name);
+                param.schema.type.should.equal('boolean');
+                original.type.should.equal('boolean');
+            },
+            onRequestBody: function(requestBody, originals){
+                calls.push('onRequestBody');
+                requestBody.content['application/json'].schema.$ref.should.equal('#/components/schemas/Pet');
+                originals.length.should.equal(1);
+                originals[0].in.should.equal('body');
+                requestBody.description = 'A pet';
+            },
+            onOperation: function(op, path, method, swaggerOp){
+                calls.push('onOperation:' + method + ' ' + path);
+                swaggerOp.parameters.length.should.equal(2);
+                op.parameters.length.should.equal(1);
+                should.exist(op.requestBody);
+            },
+            afterConvert: function(openapi, swagger){
+                calls.push('afterConvert');
+                openapi.openapi.should.equal('3.0.0');
+                swagger.swagger.should.equal('2.0');
+            }
+        };
+        let swagger = definition();
+        return swagger2openapi.convertObj(swagger, { hooks: hooks })
+        .then(function(options){
+            pointers.should.containEql('#/definitions/Pet/properties/name');
+            pointers.should.containEql('#/paths/~1pets/post/responses/201/schema');
+            calls.should.eql(['beforeConvert', 'onParameter:dryRun', 'onRequestBody', 'onOperation:post /pets', 'afterConvert']);
+            options.openapi.components.schemas.Pet.properties.name['x-checked'].should.be.exactly(true);
+            options.openapi.paths['/pets'].post.requestBody.description.should.equal('A pet');
+            swagger.should.eql(definition());
+        });
+    });
+    it('should reject the conversion if a hook throws',function(){
+        let hooks = { onOperation: function(){ throw new Error('hook failed'); } };
+        return swagger2openapi.convertObj(definition(), { hooks: hooks })
+        .should.be.rejectedWith(/hook failed/);
+    });
+});
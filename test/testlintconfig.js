@@ -0,0 +1,65 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const should = require('should');
+const yaml = require('js-yaml');
+const linter = require('../packages/oas-linter/index.js');
+const validator = require('../packages/oas-validator/index.js');
+
+const dir = path.join(__dirname, 'linter-test', 'config');
+const config = path.join(dir, '.oaslintrc');
+const source = path.join(dir, 'sub', 'openapi.yaml');
+
+function definition() {
+    return yaml.safeLoad(fs.readFileSync(source, 'utf8'), { json: true });
+}
+
+function findRule(rules, name) {
+    return rules.find(function (rule) { return rule.name === name; });
+}
+
+describe('linter configuration', function(){
+    it('should find a config file in a parent directory',function(){
+        linter.findConfig(path.join(dir, 'sub')).should.equal(config);
+    });
+    it('should merge extended rules and severities',function(){
+        let rules = linter.loadConfig(config);
+        findRule(rules, 'info-x-api-id').severity.should.equal('warn');
+        findRule(rules, 'info-contact').severity.should.equal('off');
+        findRule(rules, 'operation-tags').should.not.have.property('severity');
+    });
+    it('should let a severity re-enable a disabled rule',function(){
+        let rule = findRule(linter.loadConfig(config), 'pathItem-summary-or-description');
+        rule.severity.should.equal('warn');
+        rule.should.not.have.property('disabled');
+    });
+    it('should not return disabled rules from getRules',function(){
+        should.not.exist(findRule(linter.getRules().rules, 'pathItem-summary-or-description'));
+    });
+    it('should report warn rules as warnings and skip off rules',function(){
+        let options = { lint: true, source: source };
+        validator.validateSync(definition(), options).should.be.exactly(true);
+        options.warnings.should.eql([
+            "warn info-x-api-id #/info expected Object { title: 'linter configuration', version: '1.0.0' } to have property 'x-api-id'",
+            'warn pathItem-summary-or-description #/paths/~1pets pathItem should have summary or description'
+        ]);
+    });
+    it('should record the severity of findings with allErrors',function(){
+        let options = { lint: true, source: source, allErrors: true };
+        validator.validateSync(definition(), options).should.be.exactly(true);
+        let finding = options.errors.find(function (e) { return e.ruleName === 'pathItem-summary-or-description'; });
+        finding.severity.should.equal('warn');
+        finding.pointer.should.equal('#/paths/~1pets');
+    });
+    it('should fail validation for error rules',function(){
+        should(function(){
+            validator.validateSync(definition(), { lint: true });
+        }).throw(/contact/);
+    });
+    it('should reject circular extends',function(){
+        should(function(){
+            linter.loadConfig(path.join(dir, 'circular.yaml'));
+        }).throw(/Circular extends/);
+    });
+});
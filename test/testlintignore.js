@@ -0,0 +1,64 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const should = require('should');
+const yaml = require('js-yaml');
+const validator = require('../packages/oas-validator/index.js');
+
+const source = path.join(__dirname, 'linter-test', 'ignore', 'openapi.yaml');
+
+function definition() {
+    return yaml.safeLoad(fs.readFileSync(source, 'utf8'), { json: true });
+}
+
+function strip(obj) {
+    if (!obj || (typeof obj !== 'object')) return;
+    delete obj['x-lint-ignore'];
+    for (let key in obj) strip(obj[key]);
+}
+
+function ruleNames(options) {
+    return options.errors.map(function (e) { return e.ruleName + ' ' + e.pointer; });
+}
+
+describe('linter suppressions', function(){
+    it('should report the rules which are suppressed when there are no suppressions',function(){
+        let openapi = definition();
+        strip(openapi);
+        let options = { lint: true, allErrors: true };
+        validator.validateSync(openapi, options).should.be.exactly(false);
+        ruleNames(options).should.eql([
+            'contact-properties #/info/contact',
+            'operation-operationId #/paths/~1health/get',
+            'operation-tags #/paths/~1health/get'
+        ]);
+    });
+    it('should suppress the named rules on an object and within it',function(){
+        let options = { lint: true, allErrors: true };
+        validator.validateSync(definition(), options).should.be.exactly(true);
+        ruleNames(options).should.eql(['x-lint-ignore #/paths/~1pets/get']);
+    });
+    it('should report unused suppressions as warnings',function(){
+        let options = { lint: true };
+        validator.validateSync(definition(), options).should.be.exactly(true);
+        options.warnings.should.eql(['warn x-lint-ignore #/paths/~1pets/get Unused suppression of rule operation-tags']);
+    });
+    it('should only suppress the named rules',function(){
+        let openapi = definition();
+        openapi.paths['/health']['x-lint-ignore'] = 'operation-tags';
+        should(function(){
+            validator.validateSync(openapi, { lint: true });
+        }).throw(/operationId/);
+    });
+    it('should report a suppression which is only partly used',function(){
+        let openapi = definition();
+        openapi.info['x-lint-ignore'] = ['contact-properties', 'info-contact'];
+        let options = { lint: true, allErrors: true };
+        validator.validateSync(openapi, options).should.be.exactly(true);
+        options.errors.map(function (e) { return e.message + ' ' + e.pointer; }).should.eql([
+            'Unused suppression of rule info-contact #/info',
+            'Unused suppression of rule operation-tags #/paths/~1pets/get'
+        ]);
+    });
+});
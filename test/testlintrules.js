@@ -0,0 +1,80 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const should = require('should');
+const yaml = require('js-yaml');
+const validator = require('../packages/oas-validator/index.js');
+
+const dir = path.join(__dirname, 'linter-test', 'functions');
+const source = path.join(dir, 'sub', 'openapi.yaml');
+
+function definition() {
+    return {
+        openapi: '3.0.0',
+        info: { title: 'Rules', version: '1.0.0', 'x-status': 'draft' },
+        paths: {
+            '/pets': {
+                get: {
+                    operationId: 'list_pets',
+                    responses: { '200': { description: 'OK' } }
+                }
+            }
+        }
+    };
+}
+
+function lint(rule) {
+    rule.name = 'test-rule';
+    let options = { lint: true, allErrors: true, lintRules: [rule] };
+    validator.validateSync(definition(), options);
+    return options.errors.filter(function (e) { return e.ruleName === 'test-rule'; });
+}
+
+describe('linter rules', function(){
+    it('should check maxLength',function(){
+        lint({ object: ['info'], maxLength: { property: 'title', value: 4 } }).length.should.equal(1);
+        lint({ object: ['info'], maxLength: { property: 'title', value: 5 } }).length.should.equal(0);
+    });
+    it('should check minLength',function(){
+        lint({ object: ['info'], minLength: { property: 'title', value: 6 } }).length.should.equal(1);
+        lint({ object: ['info'], minLength: { property: 'title', value: 5 } }).length.should.equal(0);
+    });
+    it('should check enum',function(){
+        let errors = lint({ object: ['info'], enum: { property: 'x-status', values: ['stable', 'beta'] } });
+        errors.length.should.equal(1);
+        errors[0].message.should.equal('x-status must be one of stable, beta');
+        lint({ object: ['info'], enum: { property: 'x-status', values: ['draft'] } }).length.should.equal(0);
+    });
+    it('should check casing',function(){
+        let errors = lint({ object: ['operation'], casing: { property: 'operationId', value: 'camel' } });
+        errors.length.should.equal(1);
+        errors[0].message.should.equal('list_pets should be camel case');
+        errors[0].pointer.should.equal('#/paths/~1pets/get');
+        lint({ object: ['operation'], casing: { property: 'operationId', value: 'snake' } }).length.should.equal(0);
+    });
+    it('should check a schema',function(){
+        let errors = lint({ object: ['info'], description: 'bad version', schema: { property: 'version', value: { pattern: '^\\d+$' } } });
+        errors.length.should.equal(1);
+        errors[0].message.should.match(/^bad version: \/ should match pattern/);
+        lint({ object: ['info'], schema: { value: { required: ['title', 'version'] } } }).length.should.equal(0);
+    });
+    it('should not run functions from a config found by searching',function(){
+        let openapi = yaml.safeLoad(fs.readFileSync(source, 'utf8'), { json: true });
+        should(function(){
+            validator.validateSync(openapi, { lint: true, source: source });
+        }).throw(/lintFunctions/);
+    });
+    it('should run functions with lintFunctions set',function(){
+        let openapi = yaml.safeLoad(fs.readFileSync(source, 'utf8'), { json: true });
+        let options = { lint: true, source: source, lintFunctions: true };
+        validator.validateSync(openapi, options).should.be.exactly(true);
+        options.warnings.should.eql(['warn info-title-no-test #/info info title mentions test']);
+    });
+    it('should run functions from a config given by lintConfig',function(){
+        let openapi = yaml.safeLoad(fs.readFileSync(source, 'utf8'), { json: true });
+        let options = { lint: true, lintConfig: path.join(dir, '.oaslintrc') };
+        validator.validateSync(openapi, options).should.be.exactly(true);
+        options.warnings.length.should.equal(1);
+    });
+});
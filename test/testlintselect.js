@@ -0,0 +1,94 @@
+'use strict';
+
+const should = require('should');
+const linter = require('../packages/oas-linter/index.js');
+const validator = require('../packages/oas-validator/index.js');
+
+function definition() {
+    return {
+        openapi: '3.0.0',
+        info: { title: 'selectors', version: '1.0.0', 'x-api-id': 'pets' },
+        paths: {
+            '/pets': {
+                get: { operationId: 'listPets', responses: { '200': { description: 'OK' } } },
+                post: { responses: { '201': { description: 'Created' } } }
+            },
+            '/a~b': {
+                get: { responses: { '200': { description: 'OK' } } }
+            }
+        },
+        components: {
+            schemas: {
+                Pet: { type: 'object', properties: { name: { type: 'string', description: 'the name' } } }
+            }
+        }
+    };
+}
+
+function pointers(selector) {
+    return linter.select(definition(), selector).map(function (match) { return match.pointer; });
+}
+
+describe('linter selectors', function(){
+    it('should select by dotted and bracketed names',function(){
+        let matches = linter.select(definition(), '$.info.title');
+        matches.should.eql([{ value: 'selectors', key: 'title', pointer: '#/info/title' }]);
+        pointers('$.paths./pets.get').should.eql(['#/paths/~1pets/get']);
+        pointers('$.paths[/pets][post]').should.eql(['#/paths/~1pets/post']);
+    });
+    it('should select quoted keys',function(){
+        pointers("$.paths['/a~b'].get").should.eql(['#/paths/~1a~0b/get']);
+        pointers('$.paths["/pets"].get.operationId').should.eql(['#/paths/~1pets/get/operationId']);
+        pointers("$.info['x-api-id']").should.eql(['#/info/x-api-id']);
+    });
+    it('should select with wildcards',function(){
+        pointers('$.paths[*].get').should.eql(['#/paths/~1pets/get', '#/paths/~1a~0b/get']);
+        pointers('$.paths./pets[*].responses').should.eql(['#/paths/~1pets/get/responses', '#/paths/~1pets/post/responses']);
+    });
+    it('should select unions',function(){
+        pointers("$.paths['/pets'][get, post, put]").should.eql(['#/paths/~1pets/get', '#/paths/~1pets/post']);
+        pointers("$.info['title','version']").should.eql(['#/info/title', '#/info/version']);
+    });
+    it('should select descendants',function(){
+        pointers('$..description').should.eql([
+            '#/paths/~1pets/get/responses/200/description',
+            '#/paths/~1pets/post/responses/201/description',
+            '#/paths/~1a~0b/get/responses/200/description',
+            '#/components/schemas/Pet/properties/name/description'
+        ]);
+        pointers('$.components..type').should.eql([
+            '#/components/schemas/Pet/type',
+            '#/components/schemas/Pet/properties/name/type'
+        ]);
+        pointers('$..[operationId]').should.eql(['#/paths/~1pets/get/operationId']);
+    });
+    it('should select JSON Pointers',function(){
+        pointers('#/paths/~1a~0b/get').should.eql(['#/paths/~1a~0b/get']);
+        pointers('#/paths/~1pets/get/responses/200').should.eql(['#/paths/~1pets/get/responses/200']);
+        pointers('#/paths/%7E1pets').should.eql(['#/paths/~1pets']);
+        pointers('#/paths/~1missing').should.eql([]);
+        linter.select(definition(), '#').should.eql([{ value: definition(), key: '', pointer: '#' }]);
+    });
+    it('should reject invalid JSONPaths',function(){
+        (function(){ linter.select(definition(), '$.paths[*'); }).should.throw(/Unterminated \[/);
+        (function(){ linter.select(definition(), '$.paths..'); }).should.throw(/Invalid JSONPath/);
+    });
+    it('should lint the locations a rule selects',function(){
+        let rule = { name: 'operation-operationId-given', given: ['$.paths[*][get,post]'], truthy: ['operationId'], severity: 'warn' };
+        let options = { context: [], warnings: [], lintRules: [rule] };
+        linter.lintDocument(definition(), options);
+        options.warnings.map(function (w) { return w.split(' expected')[0]; }).should.eql([
+            'warn operation-operationId-given #/paths/~1pets/post',
+            'warn operation-operationId-given #/paths/~1a~0b/get'
+        ]);
+        options.context.should.eql([]);
+    });
+    it('should lint selected locations when validating',function(){
+        let rule = { name: 'schema-description', given: ['#/components/schemas/Pet', '$..properties[*]'], truthy: ['description'], severity: 'warn' };
+        let options = { lint: true, allErrors: true, lintRules: [rule] };
+        validator.validateSync(definition(), options).should.be.exactly(true);
+        options.errors.map(function (e) { return e.ruleName + ' ' + e.pointer; }).should.eql([
+            'schema-description #/components/schemas/Pet'
+        ]);
+    });
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+const should = require('should');
+const swagger2openapi = require('../packages/swagger2openapi/index.js');
+
+function body(property) {
+  let schema = { type: 'object', properties: {} };
+  schema.properties[property] = { type: 'string' };
+  return [{ name: 'body', in: 'body', schema: schema }];
+}
+
+function definition() {
+  return {
+    swagger: '2.0',
+    info: { title: 'naming', version: '1.0.0' },
+    consumes: ['application/json'],
+    paths: {
+      '/zoos': {
+        post: { operationId: 'createZoo', parameters: body('name'), responses: { '200': { description: 'ok' } } }
+      },
+      '/animals': {
+        post: { operationId: 'createAnimal', parameters: body('name'), responses: { '200': { description: 'ok' } } },
+        put: { operationId: 'updateAnimal', parameters: body('name'), responses: {
+          '200': { description: 'ok', schema: { type: 'object', properties: { id: { type: 'integer' } } } },
+          '201': { description: 'ok', schema: { $ref: '#/paths/~1animals/put/responses/200/schema' } }
+        } }
+      }
+    }
+  };
+}
+
+describe('component naming', function(){
+    it('should name components by order by default',function(){
+        return swagger2openapi.convertObj(definition(), {})
+        .then(function(options){
+            Object.keys(options.openapi.components.requestBodies).should.eql(['createZooBody']);
+            Object.keys(options.openapi.components.schemas).should.eql(['schema1']);
+        });
+    });
+    it('should apply naming templates and callbacks',function(){
+        let naming = {
+            requestBodies: '{operationId}Request',
+            schemas: function(context){
+                context.ref.should.equal('#/paths/~1animals/put/responses/200/schema');
+                context.name.should.equal('schema');
+                return 'Animal Id';
+            }
+        };
+        return swagger2openapi.convertObj(definition(), { componentNaming: naming })
+        .then(function(options){
+            let openapi = options.openapi;
+            Object.keys(openapi.components.requestBodies).should.eql(['createZooRequest']);
+            openapi.paths['/animals'].put.requestBody.$ref.should.equal('#/components/requestBodies/createZooRequest');
+            Object.keys(openapi.components.schemas).should.eql(['Animal_Id']);
+        });
+    });
+    it('should not depend on the order of paths in deterministic mode',function(){
+        let swagger = definition();
+        let reordered = definition();
+        reordered.paths = { '/animals': swagger.paths['/animals'], '/zoos': swagger.paths['/zoos'] };
+        return Promise.all([
+            swagger2openapi.convertObj(definition(), { deterministic: true }),
+            swagger2openapi.convertObj(reordered, { deterministic: true })
+        ])
+        .then(function(results){
+            let names = Object.keys(results[0].openapi.components.requestBodies);
+            names.should.eql(['createAnimalBody']);
+            Object.keys(results[1].openapi.components.requestBodies).should.eql(names);
+            Object.keys(results[0].openapi.components.schemas)[0].should.match(/^schema_[0-9a-f]+$/);
+        });
+    });
+});
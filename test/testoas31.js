@@ -0,0 +1,70 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const should = require('should');
+const yaml = require('js-yaml');
+const validator = require('../packages/oas-validator/index.js');
+
+function load(name) {
+    return yaml.safeLoad(fs.readFileSync(path.join(__dirname, 'oas31-test', name), 'utf8'), { json: true });
+}
+
+describe('OpenAPI 3.1 validation', function(){
+    it('should accept a document with only webhooks and components',function(){
+        let options = {};
+        validator.validateSync(load('webhooks.yaml'), options).should.be.exactly(true);
+        options.warnings.should.eql([]);
+    });
+    it('should check the path items of webhooks and components.pathItems',function(){
+        let openapi = load('webhooks.yaml');
+        openapi.webhooks.newPet.post.operationId = 5;
+        openapi.components.pathItems.pets.get.responses = [];
+        let options = { allErrors: true, validateSchema: 'never' };
+        validator.validateSync(openapi, options).should.be.exactly(false);
+        options.errors.map(function (e) { return e.pointer; }).should.eql([
+            '#/webhooks/newPet/post',
+            '#/components/pathItems/pets/get'
+        ]);
+    });
+    it('should accept type arrays and reject invalid ones',function(){
+        let options = { allErrors: true, validateSchema: 'never' };
+        validator.validateSync(load('type-arrays.yaml'), options).should.be.exactly(false);
+        options.errors.map(function (e) { return e.pointer; }).should.eql([
+            '#/components/schemas/Duplicate',
+            '#/components/schemas/Unknown'
+        ]);
+        options.errors[0].message.should.equal('type array items must be unique');
+        options.errors[1].message.should.containEql('date');
+    });
+    it('should warn about an unknown jsonSchemaDialect and not check schema keywords',function(){
+        let options = {};
+        validator.validateSync(load('unknown-dialect.yaml'), options).should.be.exactly(true);
+        options.warnings.should.eql(['Unknown jsonSchemaDialect https://example.com/dialect, schema keywords not checked']);
+        options = { allErrors: true };
+        validator.validateSync(load('unknown-dialect.yaml'), options).should.be.exactly(true);
+        options.errors.should.eql([{
+            pointer: '#/jsonSchemaDialect',
+            message: 'Unknown jsonSchemaDialect https://example.com/dialect, schema keywords not checked',
+            severity: 'warn',
+            ruleName: null
+        }]);
+    });
+    it('should check schema keywords with a known jsonSchemaDialect',function(){
+        let openapi = load('unknown-dialect.yaml');
+        openapi.jsonSchemaDialect = 'https://spec.openapis.org/oas/3.1/dialect/base';
+        should(function(){
+            validator.validateSync(openapi, { validateSchema: 'never' });
+        }).throw('maxLength must be a number');
+    });
+    it('should reject webhooks in an OpenAPI 3.0 document',function(){
+        should(function(){
+            validator.validateSync(load('webhooks-30.yaml'), {});
+        }).throw('OpenAPI object cannot have additionalProperty: webhooks');
+    });
+    it('should reject components.pathItems in an OpenAPI 3.0 document',function(){
+        should(function(){
+            validator.validateSync(load('path-items-30.yaml'), {});
+        }).throw('components.pathItems requires OpenAPI 3.1');
+    });
+});
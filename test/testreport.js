@@ -0,0 +1,69 @@
+'use strict';
+
+const should = require('should');
+const swagger2openapi = require('../packages/swagger2openapi/index.js');
+
+function definition() {
+  return {
+    swagger: '2.0',
+    info: { title: 'report', version: 1, logo: { url: 'logo.png' } },
+    paths: {
+      '/pets/{id}': {
+        get: {
+          parameters: [
+            { name: 'id', in: 'path', type: 'string' },
+            { name: 'tags', in: 'query', type: 'string', collectionFormat: 'csv' }
+          ],
+          responses: {
+            '200': { schema: { $ref: '#/definitions/Pet Shop' } }
+          }
+        }
+      }
+    },
+    definitions: {
+      'Pet Shop': { type: 'object' }
+    }
+  };
+}
+
+function find(report, category, source) {
+  return report.find(function (entry) { return (entry.category === category) && (entry.source === source); });
+}
+
+describe('conversion report', function(){
+    it('should list the patches and renames applied',function(){
+        return swagger2openapi.convertObj(definition(), { patch: true, report: true })
+        .then(function(options){
+            options.report.forEach(function(entry){
+                entry.should.have.properties(['source', 'target', 'category', 'message']);
+            });
+            find(options.report, 'patched', '#/info/version').target.should.equal('#/info/version');
+            find(options.report, 'renamed', '#/info/logo').target.should.equal('#/info/x-logo');
+            find(options.report, 'renamed', '#/definitions/Pet Shop').target.should.equal('#/components/schemas/Pet_Shop');
+            find(options.report, 'patched', '#/paths/~1pets~1{id}/get/parameters/0/required').target
+                .should.equal('#/paths/~1pets~1{id}/get/parameters/0/required');
+            find(options.report, 'patched', '#/paths/~1pets~1{id}/get/responses/200/description').message
+                .should.match(/OK/);
+            find(options.report, 'dropped', '#/paths/~1pets~1{id}/get/parameters/1/collectionFormat').target
+                .should.be.exactly(false);
+        });
+    });
+    it('should list warnings when warnOnly is set',function(){
+        let swagger = definition();
+        swagger.paths['/pets/{id}'].get.parameters[1].collectionFormat = 'tsv';
+        swagger.paths['/pets/{id}'].get.parameters[1].type = 'array';
+        swagger.paths['/pets/{id}'].get.parameters[1].items = { type: 'string' };
+        return swagger2openapi.convertObj(swagger, { patch: true, warnOnly: true, report: true })
+        .then(function(options){
+            let entry = find(options.report, 'warned', '#/paths/~1pets~1{id}/get/parameters/1');
+            should.exist(entry);
+            entry.message.should.match(/tsv/);
+        });
+    });
+    it('should not report unless asked',function(){
+        return swagger2openapi.convertObj(definition(), { patch: true })
+        .then(function(options){
+            should.not.exist(options.report);
+        });
+    });
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+const path = require('path');
+const should = require('should');
+const resolver = require('../packages/oas-resolver/index.js');
+
+const source = path.join(__dirname, 'resolver-test', 'schema-id', 'openapi.yaml');
+
+function input() {
+  return {
+    openapi: '3.0.0',
+    info: { title: 'schema $id', version: '1.0.0' },
+    paths: {},
+    components: {
+      schemas: {
+        Thing: { $ref: 'thing.json' },
+        Flag: { $ref: 'thing.json#flag' },
+        Name: { $ref: 'thing.json#name' }
+      }
+    }
+  };
+}
+
+describe('schema $id',function(){
+    let schemas;
+    before(function(){
+        return resolver.resolve(input(),source,{ resolve: true }).then(function(options){
+            schemas = options.openapi.components.schemas;
+        });
+    });
+    it('should resolve relative $refs against the $id base URI',function(){
+        schemas.Thing.properties.part.should.eql({ type: 'integer' });
+        schemas.Thing.properties.name.type.should.equal('string');
+    });
+    it('should resolve $refs to anchors',function(){
+        schemas.Thing.properties.flag.type.should.equal('boolean');
+        schemas.Flag.type.should.equal('boolean');
+        schemas.Name.type.should.equal('string');
+    });
+});
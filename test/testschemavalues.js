@@ -0,0 +1,34 @@
+'use strict';
+
+const should = require('should');
+const validator = require('../packages/oas-validator/index.js');
+
+function validate(schemas) {
+  let openapi = { openapi: '3.0.0', info: { title: 'schema values', version: '1.0.0' }, paths: {}, components: { schemas: schemas } };
+  let options = { allErrors: true };
+  validator.validateSync(openapi, options);
+  return options.errors.map(function (error) { return error.pointer + ' ' + error.message; });
+}
+
+describe('schema consistency',function(){
+    it('should accept consistent defaults, enums and bounds',function(){
+        validate({
+            Count: { type: 'integer', minimum: 1, maximum: 10, default: 1 },
+            Colour: { type: 'string', nullable: true, enum: ['red', 'blue', null], default: null },
+            Day: { type: 'string', format: 'date', default: '2020-01-01' }
+        }).should.eql([]);
+    });
+    it('should report inconsistencies against the schema',function(){
+        validate({
+            Count: { type: 'integer', minimum: 10, maximum: 1 },
+            Colour: { type: 'string', enum: ['red', 2] },
+            Size: { type: 'integer', minimum: 1, exclusiveMinimum: true, default: 1 },
+            Day: { type: 'string', format: 'date', default: 'today' }
+        }).should.eql([
+            '#/components/schemas/Count minimum must not be greater than maximum',
+            '#/components/schemas/Colour enum member 1 must be of type string',
+            '#/components/schemas/Size default must be > 1',
+            '#/components/schemas/Day default must match format date'
+        ]);
+    });
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const should = require('should');
+const yaml = require('js-yaml');
+const common = require('../packages/oas-kit-common/index.js');
+const swagger2openapi = require('../packages/swagger2openapi/index.js');
+const validator = require('../packages/oas-validator/index.js');
+
+const swagger = `swagger: '2.0'
+info:
+  title: locations
+  version: 1.0.0
+paths:
+  /pets/{id}:
+    get:
+      parameters:
+        - name: tags
+          in: query
+          type: array
+          items:
+            type: string
+          collectionFormat: tsv
+      responses:
+        '200':
+          description: OK
+`;
+
+const openapi = `openapi: 3.0.0
+info:
+  title: locations
+  version: 1.0.0
+paths:
+  /a~b:
+    get:
+      responses:
+        '200': {}
+`;
+
+describe('source maps', function(){
+    it('should map YAML pointers to lines and columns',function(){
+        let map = common.getSourceMap(swagger, 'swagger.yaml');
+        map['#'].should.eql({ file: 'swagger.yaml', line: 1, column: 1 });
+        map['#/info/title'].should.eql({ file: 'swagger.yaml', line: 3, column: 3 });
+        map['#/paths/~1pets~1{id}/get'].should.eql({ file: 'swagger.yaml', line: 7, column: 5 });
+        map['#/paths/~1pets~1{id}/get/parameters/0'].should.eql({ file: 'swagger.yaml', line: 9, column: 11 });
+        common.getSourceMap(openapi, '')['#/paths/~1a~0b/get'].should.eql({ file: '', line: 7, column: 5 });
+    });
+    it('should map JSON pointers to lines and columns',function(){
+        let map = common.getSourceMap('{\n  "info": {\n    "title": "json"\n  },\n  "tags": [ { "name": "a" } ]\n}', 'openapi.json');
+        map['#/info/title'].should.eql({ file: 'openapi.json', line: 3, column: 5 });
+        map['#/tags/0/name'].line.should.equal(5);
+    });
+    it('should look up the nearest located ancestor',function(){
+        let map = common.getSourceMap(swagger, 'swagger.yaml');
+        common.getLocation(map, '#/paths/~1pets~1{id}/get/parameters/0/missing').should.eql(map['#/paths/~1pets~1{id}/get/parameters/0']);
+        common.getLocation(map, '#/paths/~1pets~1%7Bid%7D/get').should.eql(map['#/paths/~1pets~1{id}/get']);
+        common.getLocation(map, '/info/').should.eql(map['#/info']);
+        common.getLocation(false, '#/info').should.be.exactly(false);
+        common.getLocation({}, '#/info').should.be.exactly(false);
+    });
+    it('should format a location',function(){
+        common.formatLocation({ file: 'swagger.yaml', line: 9, column: 11 }).should.equal('swagger.yaml:9:11');
+        common.formatLocation({ file: '', line: 9, column: 11 }).should.equal('9:11');
+    });
+    it('should give the location of converter errors',function(){
+        return swagger2openapi.convertStr(swagger, { source: 'swagger.yaml' })
+        .should.be.rejectedWith('collectionFormat:tsv is no longer supported (swagger.yaml:9:11)');
+    });
+    it('should keep locations out of warnings in the converted definition',function(){
+        return swagger2openapi.convertStr(swagger, { source: 'swagger.yaml', warnOnly: true })
+        .then(function(options){
+            options.openapi.paths['/pets/{id}'].get.parameters[0]['x-s2o-warning'].should.equal('collectionFormat:tsv is no longer supported');
+        });
+    });
+    it('should give the location of validator errors',function(){
+        let options = { allErrors: true, validateSchema: 'never', sourceMap: common.getSourceMap(openapi, 'openapi.yaml') };
+        validator.validateSync(yaml.safeLoad(openapi, { json: true }), options).should.be.exactly(false);
+        options.errors.length.should.equal(1);
+        options.errors[0].should.have.properties({ pointer: '#/paths/~1a~0b/get/responses/200', file: 'openapi.yaml', line: 9, column: 9 });
+    });
+});
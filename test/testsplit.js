@@ -0,0 +1,65 @@
+'use strict';
+
+const should = require('should');
+const split = require('../packages/oas-resolver/split.js').split;
+
+const input = {
+  openapi: '3.0.0',
+  info: { title: 'split', version: '1.0.0' },
+  paths: {
+    '/pets/{petId}': {
+      get: {
+        responses: {
+          '200': {
+            description: 'ok',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } }
+          }
+        }
+      }
+    }
+  },
+  components: {
+    schemas: {
+      Pet: {
+        properties: {
+          owner: { $ref: '#/components/schemas/PetOwner' },
+          parent: { $ref: '#/components/schemas/Pet' },
+          name: { $ref: 'common.yaml#/Name' }
+        }
+      },
+      PetOwner: {
+        properties: { title: { $ref: '#/info/title' } }
+      }
+    }
+  }
+};
+
+describe('split',function(){
+    describe('default layout',function(){
+        let files = split(input);
+        it('should not modify its input',function(){
+            input.paths['/pets/{petId}'].should.have.property('get');
+        });
+        it('should write each path item and component to a file',function(){
+            Object.keys(files).should.eql(['openapi.yaml','paths/pets_petId.yaml',
+              'components/schemas/Pet.yaml','components/schemas/PetOwner.yaml']);
+            files['openapi.yaml'].paths['/pets/{petId}'].$ref.should.equal('paths/pets_petId.yaml');
+            files['openapi.yaml'].components.schemas.Pet.$ref.should.equal('components/schemas/Pet.yaml');
+        });
+        it('should make $refs relative to the file holding them',function(){
+            files['paths/pets_petId.yaml'].get.responses['200'].content['application/json'].schema.$ref.should.equal('../components/schemas/Pet.yaml');
+            let pet = files['components/schemas/Pet.yaml'];
+            pet.properties.owner.$ref.should.equal('PetOwner.yaml');
+            pet.properties.parent.$ref.should.equal('#');
+            pet.properties.name.$ref.should.equal('../../common.yaml#/Name');
+            files['components/schemas/PetOwner.yaml'].properties.title.$ref.should.equal('../../openapi.yaml#/info/title');
+        });
+    });
+    describe('options',function(){
+        it('should follow the given layout, naming and format',function(){
+            let files = split(input,{ layout: { 'components/schemas': 'schemas' }, naming: 'kebab', format: 'json' });
+            Object.keys(files).should.eql(['openapi.json','schemas/pet.json','schemas/pet-owner.json']);
+            files['openapi.json'].paths['/pets/{petId}'].get.responses['200'].content['application/json'].schema.$ref.should.equal('schemas/pet.json');
+        });
+    });
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const should = require('should');
+const swagger2openapi = require('../packages/swagger2openapi/index.js');
+
+const dir = path.join(__dirname, 'swagger12-test');
+const listing = path.join(dir, 'api-docs.json');
+
+function read(file) {
+    return JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+}
+
+describe('Swagger 1.2 input', function(){
+    let openapi;
+    before(function(){
+        return swagger2openapi.convertFile(listing, {})
+        .then(function(options){
+            openapi = options.openapi;
+        });
+    });
+    it('should read each API declaration of the resource listing',function(){
+        openapi.openapi.should.equal('3.0.0');
+        openapi.info.title.should.equal('Swagger Sample App');
+        openapi.info.contact.email.should.equal('apiteam@example.com');
+        openapi.servers.should.eql([{ url: 'http://petstore.example.com/api' }]);
+        Object.keys(openapi.paths).should.eql(['/pet/{petId}', '/pet/findByStatus', '/pet', '/v1/user/{username}']);
+        openapi.tags.should.eql([
+            { name: 'pet', description: 'Operations about pets' },
+            { name: 'user', description: 'Operations about users' }
+        ]);
+    });
+    it('should convert operations, parameters and responses',function(){
+        let get = openapi.paths['/pet/{petId}'].get;
+        get.operationId.should.equal('getPetById');
+        get.description.should.equal('Returns a pet based on ID');
+        get.parameters[0].schema.should.eql({ type: 'integer', format: 'int64', minimum: 1, maximum: 100000 });
+        get.responses['200'].content['application/json'].schema.$ref.should.equal('#/components/schemas/Pet');
+        get.responses['404'].description.should.equal('Pet not found');
+        let find = openapi.paths['/pet/findByStatus'].get;
+        find.deprecated.should.be.exactly(true);
+        find.parameters[0].schema.type.should.equal('array');
+        find.parameters[0].explode.should.be.exactly(false);
+        let add = openapi.paths['/pet'].post;
+        add.requestBody.content['application/json'].schema.$ref.should.equal('#/components/schemas/Pet');
+        let form = openapi.paths['/pet/{petId}'].post.requestBody.content['application/x-www-form-urlencoded'].schema;
+        Object.keys(form.properties).should.eql(['name', 'status']);
+    });
+    it('should convert models and authorizations',function(){
+        openapi.components.schemas.Pet.allOf[0].$ref.should.equal('#/components/schemas/Animal');
+        openapi.components.schemas.Animal.discriminator.propertyName.should.equal('kind');
+        openapi.components.securitySchemes.oauth2.flows.implicit.authorizationUrl.should.equal('http://example.com/oauth/dialog');
+        openapi.components.securitySchemes.api_key.should.eql({ type: 'apiKey', name: 'api_key', in: 'header' });
+        openapi.paths['/pet/{petId}'].post.security.should.eql([{ oauth2: ['write:pets'] }]);
+        openapi.paths['/v1/user/{username}'].get.security.should.eql([{ api_key: [] }]);
+    });
+    it('should fetch API declarations through the protocol handlers',function(){
+        let requested = [];
+        function handler(base, pointer) {
+            requested.push(pointer);
+            return Promise.resolve(read(path.join('api-docs', path.basename(pointer, '.json') + '.json')));
+        }
+        return swagger2openapi.convertObj(read('api-docs.json'), { source: 'http://example.com/api-docs', handlers: { 'http:': handler } })
+        .then(function(options){
+            requested.sort().should.eql(['http://example.com/api-docs/pet.json', 'http://example.com/api-docs/user']);
+            should.exist(options.openapi.paths['/v1/user/{username}']);
+        });
+    });
+    it('should convert a lone API declaration',function(){
+        return swagger2openapi.convertObj(read('api-docs/user.json'), {})
+        .then(function(options){
+            options.openapi.info.version.should.equal('1.0.0');
+            options.openapi.servers[0].url.should.equal('http://petstore.example.com/api/v1');
+            should.exist(options.openapi.components.schemas.User);
+        });
+    });
+    it('should require the location of a resource listing',function(){
+        return swagger2openapi.convertObj(read('api-docs.json'), {})
+        .should.be.rejectedWith(/options.source/);
+    });
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+const should = require('should');
+const swagger2openapi = require('../packages/swagger2openapi/index.js');
+
+function definition() {
+  return {
+    swagger: '2.0',
+    info: { title: 'translators', version: '1.0.0' },
+    'x-owner': 'pets-team',
+    paths: {
+      '/pets': {
+        get: {
+          'x-audience': 'internal',
+          parameters: [
+            { name: 'limit', in: 'query', type: 'integer', 'x-example': 10, 'x-range': [1, 100] }
+          ],
+          responses: {
+            '200': { description: 'ok', schema: { $ref: '#/definitions/Pet' } }
+          }
+        }
+      }
+    },
+    definitions: {
+      Pet: { type: 'object', 'x-nullable': true, properties: { tag: { type: 'string', 'x-enum': ['a', 'b'] } } }
+    }
+  };
+}
+
+function custom() {
+    return {
+        root: {
+            'x-owner': function(openapi, parent, options){
+                should.not.exist(parent);
+                options.openapi.should.equal(openapi);
+                openapi.info.contact = { name: openapi['x-owner'] };
+                delete openapi['x-owner'];
+            }
+        },
+        operation: {
+            'x-audience': function(op, pathItem){
+                pathItem.should.have.property('get');
+                op.tags = [op['x-audience']];
+                delete op['x-audience'];
+            }
+        },
+        parameter: {
+            'x-range': function(param, op){
+                op.should.have.property('responses');
+                param.minimum = param['x-range'][0];
+                param.maximum = param['x-range'][1];
+                delete param['x-range'];
+            }
+        },
+        schema: {
+            'x-enum': function(schema){
+                schema.enum = schema['x-enum'];
+                delete schema['x-enum'];
+            }
+        }
+    };
+}
+
+describe('extension translators', function(){
+    it('should run the built-in translators',function(){
+        return swagger2openapi.convertObj(definition(), {})
+        .then(function(options){
+            options.openapi.components.schemas.Pet.nullable.should.be.exactly(true);
+            options.openapi.paths['/pets'].get.parameters[0].example.should.equal(10);
+            options.openapi.should.have.property('x-owner');
+        });
+    });
+    it('should run given translators for each type of object',function(){
+        return swagger2openapi.convertObj(definition(), { translators: custom() })
+        .then(function(options){
+            let openapi = options.openapi;
+            openapi.info.contact.name.should.equal('pets-team');
+            openapi.should.not.have.property('x-owner');
+            openapi.paths['/pets'].get.tags.should.eql(['internal']);
+            openapi.paths['/pets'].get.parameters[0].schema.should.eql({ type: 'integer', minimum: 1, maximum: 100 });
+            openapi.components.schemas.Pet.properties.tag.enum.should.eql(['a', 'b']);
+        });
+    });
+    it('should only run given translators in their own conversion',function(){
+        return Promise.all([
+            swagger2openapi.convertObj(definition(), { translators: custom() }),
+            swagger2openapi.convertObj(definition(), {})
+        ])
+        .then(function(results){
+            results[0].openapi.should.not.have.property('x-owner');
+            results[1].openapi.should.have.property('x-owner');
+            results[1].openapi.paths['/pets'].get.should.have.property('x-audience');
+        });
+    });
+    it('should allow built-in translators to be wrapped',function(){
+        let builtin = swagger2openapi.getTranslator('schema', 'x-nullable');
+        builtin.should.be.a.Function();
+        let translators = { schema: { 'x-nullable': function(schema, parent, options){
+            schema['x-was-nullable'] = true;
+            builtin(schema, parent, options);
+        } } };
+        return swagger2openapi.convertObj(definition(), { translators: translators })
+        .then(function(options){
+            let pet = options.openapi.components.schemas.Pet;
+            pet.nullable.should.be.exactly(true);
+            pet['x-was-nullable'].should.be.exactly(true);
+        });
+    });
+    it('should allow built-in translators to be turned off',function(){
+        return swagger2openapi.convertObj(definition(), { translators: { schema: { 'x-nullable': false } } })
+        .then(function(options){
+            let pet = options.openapi.components.schemas.Pet;
+            pet.should.have.property('x-nullable');
+            pet.should.not.have.property('nullable');
+        });
+    });
+    it('should reject unknown object types and extensions',function(){
+        swagger2openapi.getTranslator('schema', 'x-thing').should.be.exactly(false);
+        return Promise.all([
+            swagger2openapi.convertObj(definition(), { translators: { widget: { 'x-thing': function(){} } } })
+            .should.be.rejectedWith(/Unknown translator type/),
+            swagger2openapi.convertObj(definition(), { translators: { schema: { thing: function(){} } } })
+            .should.be.rejectedWith(/must start with x-/)
+        ]);
+    });
+});
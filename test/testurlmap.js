@@ -0,0 +1,87 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const should = require('should');
+const yaml = require('js-yaml');
+const resolver = require('../packages/oas-resolver/index.js');
+const swagger2openapi = require('../packages/swagger2openapi/index.js');
+
+const dir = path.join(__dirname, 'resolver-test', 'url-map');
+const source = path.join(dir, 'openapi.yaml');
+const remote = 'https://schemas.acme.test/common/pet.yaml';
+
+function input() {
+    return yaml.safeLoad(fs.readFileSync(source, 'utf8'), { json: true });
+}
+
+function pet(options) {
+    return options.openapi.components.schemas.Pet;
+}
+
+describe('url mapping', function(){
+    it('should map a url prefix to a local directory',function(){
+        let urlMap = { 'https://schemas.acme.test/': path.join(dir, 'remote') + '/' };
+        return resolver.resolve(input(), source, { resolve: true, offline: true, urlMap: urlMap })
+        .then(function(options){
+            pet(options).should.eql({ type: 'object', properties: { name: { type: 'string' } } });
+        });
+    });
+    it('should accept an array of prefix=replacement strings and relative paths',function(){
+        let local = path.relative(process.cwd(), path.join(dir, 'remote'));
+        let urlMap = [ 'https://schemas.acme.test/=' + local + '/' ];
+        return resolver.resolve(input(), source, { resolve: true, offline: true, urlMap: urlMap })
+        .then(function(options){
+            pet(options).properties.name.type.should.equal('string');
+        });
+    });
+    it('should use the longest matching prefix',function(){
+        let urlMap = {
+            'https://schemas.acme.test/': path.join(dir, 'missing') + '/',
+            'https://schemas.acme.test/common/': path.join(dir, 'remote', 'common') + '/'
+        };
+        return resolver.resolve(input(), source, { resolve: true, offline: true, urlMap: urlMap })
+        .then(function(options){
+            pet(options).type.should.equal('object');
+        });
+    });
+    it('should reject unmapped remote references in offline mode',function(){
+        return resolver.resolve(input(), source, { resolve: true, offline: true })
+        .should.be.rejectedWith('Unmapped remote reference ' + remote + ' in offline mode');
+    });
+    it('should reject remote references left unmapped by the urlMap in offline mode',function(){
+        let urlMap = { 'https://other.acme.test/': path.join(dir, 'remote') + '/' };
+        return resolver.resolve(input(), source, { resolve: true, offline: true, urlMap: urlMap })
+        .should.be.rejectedWith(/^Unmapped remote reference/);
+    });
+    it('should map and block documents read by fetchDocument',function(){
+        let urlMap = { 'https://schemas.acme.test/': path.join(dir, 'remote') + '/' };
+        return resolver.fetchDocument(remote, { source: source, offline: true, urlMap: urlMap })
+        .then(function(result){
+            result.target.should.equal(path.join(dir, 'remote', 'common', 'pet.yaml'));
+            result.data.Name.should.eql({ type: 'string' });
+            return resolver.fetchDocument(remote, { source: source, offline: true })
+            .should.be.rejectedWith('Unmapped remote reference ' + remote + ' in offline mode');
+        });
+    });
+    it('should map the root document given as a url in offline mode',function(){
+        let urlMap = { 'https://schemas.acme.test/': path.join(dir, 'remote') + '/' };
+        return swagger2openapi.convertUrl('https://schemas.acme.test/openapi.yaml', { resolve: true, offline: true, urlMap: urlMap })
+        .then(function(options){
+            options.openapi.info.title.should.equal('mapped root');
+            pet(options).properties.name.type.should.equal('string');
+        });
+    });
+    it('should reject an unmapped root document given as a url in offline mode',function(){
+        return swagger2openapi.convertUrl('https://schemas.acme.test/openapi.yaml', { offline: true })
+        .should.be.rejectedWith('Unmapped remote reference https://schemas.acme.test/openapi.yaml in offline mode');
+    });
+    it('should map documents read by fetchText',function(){
+        let urlMap = [ 'https://schemas.acme.test/=' + path.join(dir, 'remote') + '/' ];
+        return resolver.fetchText(remote, { offline: true, urlMap: urlMap })
+        .then(function(result){
+            result.target.should.equal(path.join(dir, 'remote', 'common', 'pet.yaml'));
+            result.text.should.equal(fs.readFileSync(result.target, 'utf8'));
+        });
+    });
+});
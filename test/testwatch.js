@@ -0,0 +1,90 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const should = require('should');
+const yaml = require('js-yaml');
+const resolver = require('../packages/oas-resolver/index.js');
+
+const fixtures = path.join(__dirname, 'resolver-test', 'watch');
+
+function copy(from, to) {
+    fs.mkdirSync(to);
+    for (let name of fs.readdirSync(from)) {
+        if (fs.statSync(path.join(from, name)).isDirectory()) copy(path.join(from, name), path.join(to, name));
+        else fs.writeFileSync(path.join(to, name), fs.readFileSync(path.join(from, name)));
+    }
+}
+
+function remove(dir) {
+    for (let name of fs.readdirSync(dir)) {
+        if (fs.statSync(path.join(dir, name)).isDirectory()) remove(path.join(dir, name));
+        else fs.unlinkSync(path.join(dir, name));
+    }
+    fs.rmdirSync(dir);
+}
+
+describe('watch', function(){
+    this.timeout(10000);
+    let dir;
+    let source;
+    let pet;
+    let watcher;
+
+    function run() {
+        let input = yaml.safeLoad(fs.readFileSync(source, 'utf8'), { json: true });
+        return resolver.resolve(input, source, { resolve: true });
+    }
+
+    beforeEach(function(){
+        dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'oas-watch-')), 'definition');
+        copy(fixtures, dir);
+        source = path.join(dir, 'openapi.yaml');
+        pet = path.join(dir, 'defs', 'pet.yaml');
+    });
+    afterEach(function(){
+        if (watcher) watcher.close();
+        watcher = null;
+        remove(path.dirname(dir));
+    });
+
+    it('should list the local files of a definition',function(){
+        return run().then(function(options){
+            resolver.getLocalFiles(options).should.eql([source, pet]);
+        });
+    });
+    it('should run again when a referenced file changes',function(){
+        return run().then(function(options){
+            options.openapi.components.schemas.Pet.properties.name.type.should.equal('string');
+            return new Promise(function(resolve, reject){
+                watcher = resolver.watch(function(changed){
+                    return run().then(function(options){
+                        changed.should.eql([pet]);
+                        options.openapi.components.schemas.Pet.properties.name.type.should.equal('integer');
+                        resolve();
+                    })
+                    .catch(reject);
+                }, { delay: 20 });
+                watcher.update(resolver.getLocalFiles(options));
+                fs.writeFileSync(pet, 'type: object\nproperties:\n  name:\n    type: integer\n', 'utf8');
+            });
+        });
+    });
+    it('should ignore files which are not watched and stop when closed',function(){
+        let calls = 0;
+        watcher = resolver.watch(function(){ calls++; }, { delay: 20 });
+        watcher.update([source]);
+        fs.writeFileSync(pet, 'type: string\n', 'utf8');
+        return new Promise(function(resolve){ setTimeout(resolve, 200); })
+        .then(function(){
+            calls.should.equal(0);
+            watcher.close();
+            fs.writeFileSync(source, 'openapi: 3.0.0\n', 'utf8');
+            return new Promise(function(resolve){ setTimeout(resolve, 200); });
+        })
+        .then(function(){
+            calls.should.equal(0);
+        });
+    });
+});